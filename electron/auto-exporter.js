@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// public 目录下的模块在浏览器中通过全局变量互相引用，加载渲染器前先注册合成器和 Cel 缓存
+global.AseCompositor = global.AseCompositor || require('../public/ase-compositor.js');
+global.AseCelCache = global.AseCelCache || require('../public/ase-cel-cache.js');
+const AseCanvasRenderer = require('../public/ase-canvas-renderer.js');
+const PngEncoder = require('../public/png-encoder.js');
+const GifEncoder = require('../public/gif-encoder.js');
+const SpriteSheetExporter = require('../public/sprite-sheet-exporter.js');
+const BatchExporter = require('../public/batch-exporter.js');
+
+// 各导出格式的默认文件名模板
+const DEFAULT_FILE_NAMES = {
+  png: BatchExporter.DEFAULT_TEMPLATE,
+  sheet: '{file}_{tag}',
+  gif: '{file}_{tag}'
+};
+
+/**
+ * 自动导出管理器
+ * 为监控中的 Aseprite 文件保存导出配置，文件每次保存后按配置导出 PNG、精灵图集或 GIF
+ */
+class AutoExporter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      storePath: null, // 导出配置的保存位置，为 null 时不持久化
+      worker: null, // 执行导出的 ParseWorker，导出在它的后台线程中进行
+      maxLogEntries: 200,
+      ...options
+    };
+
+    this.profiles = {}; // 文件绝对路径 -> 导出配置列表
+    this.logs = [];
+    this.runningExports = new Map(); // 文件绝对路径 -> 进行中的导出
+    this.loadProfiles();
+  }
+
+  /**
+   * 从磁盘加载导出配置
+   */
+  loadProfiles() {
+    const storePath = this.options.storePath;
+    if (!storePath || !fs.existsSync(storePath)) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      Object.entries(stored).forEach(([filePath, profiles]) => {
+        this.profiles[filePath] = profiles.map(profile => AutoExporter.normalizeProfile(profile));
+      });
+      console.log(`📋 已加载 ${Object.keys(this.profiles).length} 个文件的导出配置`);
+    } catch (error) {
+      console.error('❌ 读取导出配置失败:', error);
+    }
+  }
+
+  /**
+   * 将导出配置写入磁盘
+   */
+  saveProfiles() {
+    const storePath = this.options.storePath;
+    if (!storePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify(this.profiles, null, 2));
+  }
+
+  /**
+   * 获取文件的导出配置
+   * @param {string} filePath - Aseprite 文件路径
+   * @returns {Array<Object>}
+   */
+  getProfiles(filePath) {
+    return this.profiles[path.resolve(filePath)] || [];
+  }
+
+  /**
+   * 替换文件的导出配置
+   * @param {string} filePath - Aseprite 文件路径
+   * @param {Array<Object>} profiles - 导出配置
+   * @returns {Array<Object>} - 补全默认值后的配置
+   */
+  setProfiles(filePath, profiles) {
+    const key = path.resolve(filePath);
+    const normalized = (profiles || []).map(profile => AutoExporter.normalizeProfile(profile));
+
+    if (normalized.length > 0) {
+      this.profiles[key] = normalized;
+    } else {
+      delete this.profiles[key];
+    }
+    this.saveProfiles();
+
+    console.log(`📋 已保存 ${path.basename(key)} 的 ${normalized.length} 个导出配置`);
+    return normalized;
+  }
+
+  /**
+   * 文件被重命名后，把导出配置移到新路径下
+   * @param {string} oldPath - 原文件路径
+   * @param {string} newPath - 新文件路径
+   */
+  renameProfiles(oldPath, newPath) {
+    const oldKey = path.resolve(oldPath);
+    if (!this.profiles[oldKey]) {
+      return;
+    }
+
+    this.profiles[path.resolve(newPath)] = this.profiles[oldKey];
+    delete this.profiles[oldKey];
+    this.saveProfiles();
+  }
+
+  /**
+   * 补全导出配置的默认值
+   * @param {Object} profile - 导出配置
+   * @returns {Object}
+   */
+  static normalizeProfile(profile = {}) {
+    const format = DEFAULT_FILE_NAMES[profile.format] ? profile.format : 'png';
+    return {
+      id: profile.id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: profile.name || format.toUpperCase(),
+      enabled: profile.enabled !== false,
+      format,
+      outputDir: profile.outputDir || '',
+      fileName: profile.fileName || DEFAULT_FILE_NAMES[format],
+      scale: Math.min(16, Math.max(1, parseInt(profile.scale) || 1)),
+      tag: profile.tag || '', // 标签名，为空时导出全部帧
+      layers: Array.isArray(profile.layers) ? profile.layers.filter(name => name) : [], // 为空时使用文件中的图层可见性
+      split: ['frame', 'layer', 'layer-frame'].includes(profile.split) ? profile.split : 'frame',
+      sheetType: SpriteSheetExporter.SHEET_TYPES.includes(profile.sheetType) ? profile.sheetType : 'horizontal',
+      jsonFormat: profile.jsonFormat === 'array' ? 'array' : 'hash'
+    };
+  }
+
+  /**
+   * 在后台线程中运行文件的所有已启用导出配置
+   * 同一文件的导出依次执行，避免两次导出同时写同一个临时文件
+   * @param {string} filePath - Aseprite 文件路径
+   * @returns {Promise<Array<Object>>} - 每个配置的日志记录
+   */
+  runProfiles(filePath) {
+    const key = path.resolve(filePath);
+    const profiles = this.getProfiles(key).filter(profile => profile.enabled);
+    if (profiles.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    const previous = this.runningExports.get(key) || Promise.resolve();
+    const run = previous
+      .then(() => this.options.worker.exportProfiles(key, profiles))
+      .then(
+        results => results.map(result => this.log({
+          level: result.error ? 'error' : 'success',
+          filePath: key,
+          profile: result.profile,
+          message: result.error || `已导出 ${result.files.length} 个文件，耗时 ${result.duration}ms`,
+          files: result.files || []
+        })),
+        error => profiles.map(profile => this.log({
+          level: 'error',
+          filePath: key,
+          profile: profile.name,
+          message: error.message,
+          files: []
+        }))
+      );
+
+    this.runningExports.set(key, run);
+    run.then(() => {
+      if (this.runningExports.get(key) === run) {
+        this.runningExports.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * 依次按导出配置导出（在 ParseWorker 的线程中调用）
+   * @param {string} filePath - Aseprite 文件路径
+   * @param {Object} aseData - 解析后的文件数据
+   * @param {Array<Object>} profiles - 已启用的导出配置
+   * @returns {Promise<Array<Object>>} - 每个配置的结果 { profile, files, duration } 或 { profile, error }
+   */
+  static async exportProfiles(filePath, aseData, profiles) {
+    const results = [];
+    for (const profile of profiles) {
+      const startTime = Date.now();
+      try {
+        const files = await AutoExporter.runProfile(profile, filePath, aseData);
+        results.push({ profile: profile.name, files, duration: Date.now() - startTime });
+      } catch (error) {
+        console.error(`❌ 导出配置 ${profile.name} 失败:`, error);
+        results.push({ profile: profile.name, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * 按单个配置导出
+   * @param {Object} profile - 导出配置
+   * @param {string} filePath - Aseprite 文件路径
+   * @param {Object} aseData - 解析后的文件数据
+   * @returns {Promise<Array<string>>} - 写入的文件路径
+   */
+  static async runProfile(profile, filePath, aseData) {
+    if (!profile.outputDir) {
+      throw new Error('未设置输出文件夹');
+    }
+
+    const renderer = AutoExporter.createRenderer(aseData, profile);
+    const tagIndex = profile.tag ? renderer.getTags().findIndex(tag => tag.name === profile.tag) : -1;
+    if (profile.tag && tagIndex === -1) {
+      throw new Error(`找不到标签: ${profile.tag}`);
+    }
+
+    const options = { tagIndex, scale: profile.scale, background: null };
+    const file = path.basename(filePath, path.extname(filePath));
+    const values = { file, tag: profile.tag, layer: '', frame: renderer.getExportRange(tagIndex).from };
+    let files;
+
+    if (profile.format === 'png') {
+      // 每图层模式导出范围内的第一帧
+      renderer.currentFrame = values.frame;
+      const images = renderer.getBatchExportImages({ ...options, mode: profile.split });
+      if (images.length === 0) {
+        throw new Error('没有可导出的可见图层');
+      }
+      const names = BatchExporter.createFileNames(profile.fileName, images.map(item => ({
+        file,
+        layer: item.layerName,
+        tag: item.tagName,
+        frame: item.frameIndex
+      })));
+      files = images.map((item, index) => ({ name: names[index], data: PngEncoder.encode(item.image) }));
+    } else if (profile.format === 'sheet') {
+      const imageName = BatchExporter.formatFileName(profile.fileName, values, 'png');
+      const frames = renderer.getExportFramesInRange(options);
+      const { image, json } = SpriteSheetExporter.exportSheet(aseData, frames, {
+        sheetType: profile.sheetType,
+        format: profile.jsonFormat,
+        imageName: path.posix.basename(imageName),
+        scale: profile.scale
+      });
+      files = [
+        { name: imageName, data: PngEncoder.encode(image) },
+        { name: BatchExporter.formatFileName(profile.fileName, values, 'json'), data: JSON.stringify(json, null, 2) }
+      ];
+    } else {
+      const { frames, loop } = renderer.getExportFrames(options);
+      const { width, height } = frames[0].image;
+      const encoder = new GifEncoder(width, height, { loopCount: loop ? 0 : 1, palette: renderer.getExportPalette() });
+      frames.forEach(frame => encoder.addFrame(frame.image, frame.duration));
+      files = [{ name: BatchExporter.formatFileName(profile.fileName, values, 'gif'), data: encoder.encode() }];
+    }
+
+    // 相对路径相对于 Aseprite 文件所在文件夹
+    const outputDir = path.resolve(path.dirname(filePath), profile.outputDir);
+    return AutoExporter.writeFiles(outputDir, files);
+  }
+
+  /**
+   * 创建不绑定画布的渲染器，并按配置设置图层可见性
+   * @param {Object} aseData - 解析后的文件数据
+   * @param {Object} profile - 导出配置
+   * @returns {AseCanvasRenderer}
+   */
+  static createRenderer(aseData, profile) {
+    const renderer = new AseCanvasRenderer(null);
+    renderer.aseData = aseData;
+
+    if (profile.layers.length > 0) {
+      const layers = aseData.layers || [];
+      const missing = profile.layers.filter(name => !layers.some(layer => layer.name === name));
+      if (missing.length > 0) {
+        throw new Error(`找不到图层: ${missing.join(', ')}`);
+      }
+
+      // 选中的图层及其子图层可见，它们的父级图层组也需要可见，其它图层全部隐藏
+      const selected = new Set();
+      layers.forEach((layer, index) => {
+        for (let i = index; i !== -1; i = renderer.getLayerParentIndex(i)) {
+          if (profile.layers.includes(layers[i].name)) {
+            selected.add(index);
+            break;
+          }
+        }
+      });
+      [...selected].forEach(index => {
+        for (let i = renderer.getLayerParentIndex(index); i !== -1; i = renderer.getLayerParentIndex(i)) {
+          selected.add(i);
+        }
+      });
+      layers.forEach((layer, index) => renderer.layerVisibility.set(index, selected.has(index)));
+    }
+
+    return renderer;
+  }
+
+  /**
+   * 将文件写入文件夹（先写临时文件再重命名，避免游戏热重载读到写了一半的文件）
+   * @param {string} folderPath - 目标文件夹
+   * @param {Array<{name: string, data: Uint8Array|string}>} files - name 为使用 / 分隔的相对路径
+   * @returns {Promise<Array<string>>} - 写入的文件路径
+   */
+  static async writeFiles(folderPath, files) {
+    const root = path.resolve(folderPath);
+    const targets = files.map(file => {
+      const target = path.resolve(root, file.name);
+      const relative = path.relative(root, target);
+      // 拒绝写到目标文件夹之外的路径
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`导出路径超出目标文件夹: ${file.name}`);
+      }
+      return target;
+    });
+
+    for (const [index, file] of files.entries()) {
+      const target = targets[index];
+      const tempPath = `${target}.tmp`;
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(tempPath, typeof file.data === 'string' ? file.data : Buffer.from(file.data));
+      await fs.promises.rename(tempPath, target);
+    }
+
+    return targets;
+  }
+
+  /**
+   * 记录导出日志并发送 log 事件
+   * @param {Object} entry - { level, filePath, profile, message, files }
+   * @returns {Object} - 带时间戳的日志记录
+   */
+  log(entry) {
+    const record = { ...entry, timestamp: new Date().toISOString() };
+    this.logs.push(record);
+    if (this.logs.length > this.options.maxLogEntries) {
+      this.logs.splice(0, this.logs.length - this.options.maxLogEntries);
+    }
+
+    const icon = record.level === 'success' ? '✅' : '❌';
+    console.log(`${icon} 自动导出 [${record.profile}] ${path.basename(record.filePath)}: ${record.message}`);
+    this.emit('log', record);
+    return record;
+  }
+
+  /**
+   * 获取最近的导出日志
+   * @returns {Array<Object>}
+   */
+  getLogs() {
+    return this.logs.slice();
+  }
+}
+
+module.exports = AutoExporter;
@@ -3,33 +3,61 @@ const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
 
+// 监控状态，每次变化都会发送 stateChanged 事件
+const WATCH_STATES = {
+  STOPPED: 'stopped', // 未监控
+  WATCHING: 'watching', // 正常监控中
+  CHANGING: 'changing', // 检测到变化，等待文件写入稳定
+  MISSING: 'missing' // 文件暂时不存在（原子保存的中间状态、被删除或被重命名），等待重新出现
+};
+
+// 只跟随重命名为这些扩展名的文件，保存时生成的 foo.aseprite~、.bak 等备份文件不会被当作新文件名
+const SPRITE_EXTENSIONS = ['.aseprite', '.ase'];
+
 /**
  * 统一文件监听管理器
  * 支持 Electron 和 Web 环境的文件监控
+ *
+ * 监控的是文件所在的文件夹而不是文件本身：Aseprite 和很多同步工具先写临时文件再重命名覆盖原文件，
+ * 直接监控文件时 fs.watch 会随旧文件一起失效。文件暂时消失时继续等待，重新出现后自动恢复，
+ * 文件在同一文件夹内被重命名为其它 Aseprite 文件时，根据文件夹的 rename 事件跟随到新文件名。
  */
 class FileMonitor extends EventEmitter {
   constructor(options = {}) {
     super();
-    
+
     this.options = {
-      debounceDelay: 200,
+      stabilityInterval: 100, // 检查文件是否写入完成的间隔
+      stabilityChecks: 2, // 大小和修改时间连续多少次不变视为写入完成
+      stabilityTimeout: 10000, // 超过该时间仍未稳定时按当前内容处理
+      renameGracePeriod: 1000, // 文件消失多久后才跟随重命名（避免跟随到保存时生成的备份文件）
       checkInterval: 1000,
       enableHashCheck: true,
       enableStatusReport: true,
       statusReportInterval: 30000,
       ...options
     };
-    
+
     this.currentFile = null;
-    this.fileWatcher = null;
+    this.directoryWatcher = null;
+    this.state = WATCH_STATES.STOPPED;
+    this.stateMessage = '';
     this.lastModified = null;
+    this.lastSize = null;
+    this.lastIno = null;
+    this.lastDev = null;
     this.lastHash = null;
+    this.missingSince = null;
+    this.renameCandidates = new Set(); // 文件夹 rename 事件中出现过的其它 Aseprite 文件名，跟随重命名时只检查这些文件
     this.isProcessing = false;
+    this.pendingCheck = false; // 处理过程中又收到变化时，处理完后再检查一次
+    this.stabilityTimer = null;
     this.statusInterval = null;
     this.checkInterval = null;
-    
+    this.watchGeneration = 0; // 每次开始或停止监控时递增，异步处理在 await 之后据此判断监控是否已停止
+
     // 绑定方法
-    this.handleFileChange = this.handleFileChange.bind(this);
+    this.handleDirectoryChange = this.handleDirectoryChange.bind(this);
     this.handleWatcherError = this.handleWatcherError.bind(this);
     this.handleWatcherClose = this.handleWatcherClose.bind(this);
   }
@@ -41,42 +69,58 @@ class FileMonitor extends EventEmitter {
    */
   async startWatching(filePath, options = {}) {
     const watchOptions = { ...this.options, ...options };
-    
+
     try {
       console.log(`📁 开始监控文件: ${filePath}`);
-      
+
       // 验证文件存在
       if (!fs.existsSync(filePath)) {
         throw new Error(`文件不存在: ${filePath}`);
       }
-      
-      // 停止之前的监控
-      await this.stopWatching();
-      
+
+      // 停止之前的监控（stopWatching 中没有 await，调用返回时已经停止），
+      // 记下此时的 watchGeneration，之后的 await 期间监控被停止时它会变化
+      this.stopWatching();
+      const generation = this.watchGeneration;
+
       // 设置当前文件
-      this.currentFile = filePath;
-      
+      this.currentFile = path.resolve(filePath);
+
       // 初始化文件状态
-      await this.initializeFileState(filePath);
-      
-      // 启动文件监控
-      this.startFileWatcher(filePath, watchOptions);
-      
+      await this.initializeFileState(this.currentFile);
+
+      // 启动期间监控被停止（例如页面已关闭）时不再启动文件夹监控和定时器
+      if (generation !== this.watchGeneration) {
+        const error = new Error(`监控在启动过程中被停止: ${filePath}`);
+        error.stopped = true;
+        throw error;
+      }
+
+      // 启动文件夹监控
+      this.startFileWatcher(this.currentFile, watchOptions);
+
       // 启动状态报告
       if (watchOptions.enableStatusReport) {
         this.startStatusReport();
       }
-      
+
+      this.setState(WATCH_STATES.WATCHING, '监控已启动');
+
       // 发送监控开始事件
+      const watchedFile = this.currentFile;
       this.emit('watchStarted', {
-        filePath: filePath,
+        filePath: watchedFile,
         timestamp: new Date().toISOString(),
-        fileInfo: await this.getFileInfo(filePath)
+        fileInfo: await this.getFileInfo(watchedFile)
       });
-      
-      console.log(`✅ 文件监控已启动: ${path.basename(filePath)}`);
-      
+
+      console.log(`✅ 文件监控已启动: ${path.basename(watchedFile)}`);
+
     } catch (error) {
+      // 被主动停止不是监控错误，只通知调用方
+      if (error.stopped) {
+        throw error;
+      }
       console.error(`❌ 启动文件监控失败:`, error);
       this.emit('watchError', {
         error: error.message,
@@ -91,44 +135,94 @@ class FileMonitor extends EventEmitter {
    * 停止监控
    */
   async stopWatching() {
-    if (this.fileWatcher) {
-      console.log('🔄 停止文件监控');
-      this.fileWatcher.close();
-      this.fileWatcher = null;
+    // 让进行中的异步处理在 await 之后放弃，不再修改已停止的监控器
+    this.watchGeneration++;
+    this.closeDirectoryWatcher();
+
+    if (this.stabilityTimer) {
+      clearTimeout(this.stabilityTimer);
+      this.stabilityTimer = null;
     }
-    
+
     if (this.statusInterval) {
       clearInterval(this.statusInterval);
       this.statusInterval = null;
     }
-    
+
     if (this.checkInterval) {
       clearInterval(this.checkInterval);
       this.checkInterval = null;
     }
-    
+
+    // 先发送停止状态再清空 currentFile，stateChanged 事件中带有被停止的文件路径
+    const filePath = this.currentFile;
+    if (filePath !== null) {
+      this.setState(WATCH_STATES.STOPPED, '监控已停止');
+    }
+
     this.currentFile = null;
     this.lastModified = null;
+    this.lastSize = null;
+    this.lastIno = null;
+    this.lastDev = null;
     this.lastHash = null;
+    this.missingSince = null;
+    this.renameCandidates.clear();
     this.isProcessing = false;
-    
+    this.pendingCheck = false;
+
     this.emit('watchStopped', {
+      filePath,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 更新监控状态，状态或说明变化时发送 stateChanged 事件
+   * @param {string} state - WATCH_STATES 中的状态
+   * @param {string} message - 状态说明
+   */
+  setState(state, message = '') {
+    if (this.state === state && this.stateMessage === message) {
+      return;
+    }
+
+    const previousState = this.state;
+    this.state = state;
+    this.stateMessage = message;
+    console.log(`👁️ 监控状态: ${previousState} -> ${state}${message ? ` (${message})` : ''}`);
+
+    this.emit('stateChanged', {
+      state,
+      previousState,
+      message,
+      filePath: this.currentFile,
       timestamp: new Date().toISOString()
     });
   }
 
+  /**
+   * 读取文件信息，文件不存在时返回 null
+   * @param {string} filePath - 文件路径
+   * @returns {fs.Stats|null}
+   */
+  statFile(filePath) {
+    try {
+      const stats = fs.statSync(filePath);
+      return stats.isFile() ? stats : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * 初始化文件状态
    * @param {string} filePath - 文件路径
    */
   async initializeFileState(filePath) {
     try {
-      const stats = fs.statSync(filePath);
-      this.lastModified = stats.mtime.getTime();
-      
-      if (this.options.enableHashCheck) {
-        const fileBuffer = fs.readFileSync(filePath);
-        this.lastHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
+      await this.updateFileState(filePath);
+      if (this.lastHash) {
         console.log(`📊 文件初始哈希: ${this.lastHash.substring(0, 8)}...`);
       }
     } catch (error) {
@@ -138,87 +232,271 @@ class FileMonitor extends EventEmitter {
   }
 
   /**
-   * 启动文件监控器
+   * 启动文件监控器：监控文件所在的文件夹，并定期检查作为补充
    * @param {string} filePath - 文件路径
    * @param {Object} options - 监控选项
    */
   startFileWatcher(filePath, options) {
-    this.fileWatcher = fs.watch(filePath, { persistent: true }, this.handleFileChange);
-    this.fileWatcher.on('error', this.handleWatcherError);
-    this.fileWatcher.on('close', this.handleWatcherClose);
-    
-    // 启动定期检查（作为 fs.watch 的补充）
+    this.startDirectoryWatcher();
+
+    // 启动定期检查（作为 fs.watch 的补充，也负责在文件夹监控失效后重新启动）
     if (options.checkInterval > 0) {
       this.checkInterval = setInterval(() => {
-        this.checkFileManually(filePath);
+        this.checkFileManually();
       }, options.checkInterval);
     }
   }
 
   /**
-   * 处理文件变化事件
-   * @param {string} eventType - 事件类型
-   * @param {string} filename - 文件名
+   * 监控当前文件所在的文件夹
+   * @returns {boolean} 是否启动成功
    */
-  async handleFileChange(eventType, filename) {
-    if (this.isProcessing) {
-      return; // 防止重复处理
+  startDirectoryWatcher() {
+    if (this.directoryWatcher || !this.currentFile) {
+      return !!this.directoryWatcher;
     }
-    
-    this.isProcessing = true;
-    
+
+    const directory = path.dirname(this.currentFile);
     try {
-      console.log(`📝 检测到文件变化: ${eventType} - ${filename || 'unknown'}`);
-      
-      // 延迟处理，确保文件写入完成
-      setTimeout(async () => {
-        try {
-          await this.processFileChange();
-        } catch (error) {
-          console.error('❌ 处理文件变化失败:', error);
-          this.emit('processError', {
-            error: error.message,
-            timestamp: new Date().toISOString()
-          });
-        } finally {
-          this.isProcessing = false;
-        }
-      }, this.options.debounceDelay);
-      
+      this.directoryWatcher = fs.watch(directory, { persistent: true }, this.handleDirectoryChange);
+      this.directoryWatcher.on('error', this.handleWatcherError);
+      this.directoryWatcher.on('close', this.handleWatcherClose);
+      console.log(`📂 正在监控文件夹: ${directory}`);
+      return true;
     } catch (error) {
-      console.error('❌ 文件变化处理失败:', error);
-      this.isProcessing = false;
+      // 文件夹暂时不存在时由定期检查稍后重试
+      console.warn(`⚠️ 无法监控文件夹 ${directory}:`, error.message);
+      this.directoryWatcher = null;
+      return false;
     }
   }
 
+  /**
+   * 关闭文件夹监控器
+   */
+  closeDirectoryWatcher() {
+    if (this.directoryWatcher) {
+      console.log('🔄 停止文件夹监控');
+      const watcher = this.directoryWatcher;
+      this.directoryWatcher = null;
+      watcher.close();
+    }
+  }
+
+  /**
+   * 处理文件夹变化事件，只关心当前文件（重命名覆盖时事件中的文件名是目标文件名）；
+   * 其它 Aseprite 文件的 rename 事件记为重命名的候选文件名
+   * @param {string} eventType - 事件类型（change 或 rename）
+   * @param {string} filename - 发生变化的文件名，部分平台可能为空
+   */
+  handleDirectoryChange(eventType, filename) {
+    if (!this.currentFile) {
+      return;
+    }
+
+    const name = filename ? filename.toString() : null;
+    if (name && name !== path.basename(this.currentFile)) {
+      if (eventType === 'rename' && SPRITE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+        this.renameCandidates.add(name);
+        // 文件已消失超过宽限时间，新文件名出现时立即跟随
+        if (this.missingSince !== null && Date.now() - this.missingSince >= this.options.renameGracePeriod) {
+          this.followRename();
+        }
+      }
+      return;
+    }
+
+    console.log(`📝 检测到文件变化: ${eventType} - ${filename || 'unknown'}`);
+    this.scheduleCheck();
+  }
+
+  /**
+   * 安排一次变化检查：等待文件写入稳定后处理
+   */
+  scheduleCheck() {
+    if (this.isProcessing) {
+      this.pendingCheck = true;
+      return;
+    }
+    if (this.stabilityTimer) {
+      return; // 正在等待稳定，后续采样会包含这次变化
+    }
+    this.waitForStableFile();
+  }
+
+  /**
+   * 按固定间隔采样文件大小、修改时间和 inode，连续多次不变后才认为写入完成，
+   * 代替固定的防抖延迟：小文件很快处理，大文件或慢速同步也不会读到写了一半的内容
+   */
+  waitForStableFile() {
+    const { stabilityInterval, stabilityChecks, stabilityTimeout } = this.options;
+    const startTime = Date.now();
+    let lastStats = null;
+    let stableCount = 0;
+
+    const sample = () => {
+      this.stabilityTimer = null;
+      if (!this.currentFile) {
+        return;
+      }
+
+      const stats = this.statFile(this.currentFile);
+      if (!stats) {
+        this.handleFileMissing();
+        return;
+      }
+
+      if (this.state !== WATCH_STATES.CHANGING) {
+        this.setState(WATCH_STATES.CHANGING, '文件正在写入，等待写入完成');
+      }
+
+      const unchanged = lastStats &&
+        stats.size === lastStats.size &&
+        stats.mtimeMs === lastStats.mtimeMs &&
+        stats.ino === lastStats.ino;
+      stableCount = unchanged ? stableCount + 1 : 0;
+      lastStats = stats;
+
+      const timedOut = Date.now() - startTime >= stabilityTimeout;
+      if (stableCount >= stabilityChecks || timedOut) {
+        if (timedOut) {
+          console.warn(`⚠️ 文件在 ${stabilityTimeout}ms 内未稳定，按当前内容处理`);
+        }
+        this.processFileChange();
+        return;
+      }
+
+      this.stabilityTimer = setTimeout(sample, stabilityInterval);
+    };
+
+    this.stabilityTimer = setTimeout(sample, stabilityInterval);
+  }
+
   /**
    * 处理文件变化
    */
   async processFileChange() {
-    if (!this.currentFile || !fs.existsSync(this.currentFile)) {
-      console.log('❌ 文件已被删除，停止监控');
-      await this.stopWatching();
+    if (!this.currentFile) {
       return;
     }
-    
-    // 检查文件是否真的发生了变化
-    const hasChanged = await this.checkFileChanged(this.currentFile);
-    if (!hasChanged) {
-      console.log('📊 文件内容未变化，跳过处理');
-      return;
+
+    // 每次 await 之后检查：处理期间监控被停止或重新开始时直接放弃，不发送事件也不改变状态
+    const generation = this.watchGeneration;
+    const isStale = () => generation !== this.watchGeneration;
+
+    this.isProcessing = true;
+    const recovered = this.state === WATCH_STATES.MISSING || this.missingSince !== null;
+
+    try {
+      // 检查文件是否真的发生了变化
+      const hasChanged = await this.checkFileChanged(this.currentFile);
+      if (isStale()) return;
+      this.missingSince = null;
+      this.renameCandidates.clear();
+
+      if (!hasChanged) {
+        console.log('📊 文件内容未变化，跳过处理');
+      } else {
+        // 更新文件状态
+        await this.updateFileState(this.currentFile);
+        if (isStale()) return;
+
+        const fileInfo = await this.getFileInfo(this.currentFile);
+        if (isStale()) return;
+
+        // 发送文件更新事件
+        this.emit('fileChanged', {
+          filePath: this.currentFile,
+          timestamp: new Date().toISOString(),
+          fileInfo
+        });
+
+        console.log(`✅ 文件变化已处理: ${path.basename(this.currentFile)}`);
+      }
+
+      const message = hasChanged ? '文件已更新' : '文件内容未变化';
+      this.setState(WATCH_STATES.WATCHING, recovered ? `文件已恢复，${message}` : message);
+    } catch (error) {
+      if (isStale()) return;
+      console.error('❌ 处理文件变化失败:', error);
+      this.emit('processError', {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      this.setState(WATCH_STATES.WATCHING, `处理文件变化失败: ${error.message}`);
+    } finally {
+      // 已停止的监控器由 stopWatching 重置了处理状态，这里不再修改
+      if (!isStale()) {
+        this.isProcessing = false;
+        if (this.pendingCheck && this.currentFile) {
+          this.pendingCheck = false;
+          this.scheduleCheck();
+        }
+      }
+    }
+  }
+
+  /**
+   * 文件不存在时保持监控，等待文件重新出现；消失超过宽限时间后尝试跟随重命名
+   */
+  handleFileMissing() {
+    if (this.missingSince === null) {
+      this.missingSince = Date.now();
+    }
+    if (this.state !== WATCH_STATES.MISSING) {
+      console.log('⚠️ 文件暂时不存在，等待重新出现');
+      this.setState(WATCH_STATES.MISSING, '文件暂时不存在，等待重新出现');
+    }
+
+    if (Date.now() - this.missingSince >= this.options.renameGracePeriod) {
+      this.followRename();
     }
-    
-    // 更新文件状态
-    await this.updateFileState(this.currentFile);
-    
-    // 发送文件更新事件
-    this.emit('fileChanged', {
-      filePath: this.currentFile,
-      timestamp: new Date().toISOString(),
-      fileInfo: await this.getFileInfo(this.currentFile)
-    });
-    
-    console.log(`✅ 文件变化已处理: ${path.basename(this.currentFile)}`);
+  }
+
+  /**
+   * 在文件夹 rename 事件记下的候选文件中查找 inode 与原文件相同的文件（文件被重命名），找到后改为监控新文件
+   * @returns {boolean} 是否找到了重命名后的文件
+   */
+  followRename() {
+    // 部分文件系统不提供 inode
+    if (!this.lastIno) {
+      return false;
+    }
+
+    // 原文件重新出现时按文件变化处理，不跟随到其它文件
+    if (this.statFile(this.currentFile)) {
+      this.scheduleCheck();
+      return false;
+    }
+
+    const directory = path.dirname(this.currentFile);
+    for (const name of [...this.renameCandidates]) {
+      const candidate = path.join(directory, name);
+      const stats = this.statFile(candidate);
+      if (!stats) {
+        this.renameCandidates.delete(name);
+        continue;
+      }
+      if (stats.ino === this.lastIno && stats.dev === this.lastDev) {
+        const oldPath = this.currentFile;
+        this.currentFile = candidate;
+        this.missingSince = null;
+        this.renameCandidates.clear();
+        console.log(`🔀 文件已重命名: ${path.basename(oldPath)} -> ${name}`);
+
+        this.emit('fileRenamed', {
+          oldPath,
+          filePath: candidate,
+          timestamp: new Date().toISOString()
+        });
+        this.setState(WATCH_STATES.WATCHING, `文件已重命名为 ${name}`);
+
+        // 重命名的同时内容也可能变化
+        this.scheduleCheck();
+        return true;
+      }
+    }
+    return false;
   }
 
   /**
@@ -229,25 +507,26 @@ class FileMonitor extends EventEmitter {
   async checkFileChanged(filePath) {
     try {
       const stats = fs.statSync(filePath);
-      const currentModified = stats.mtime.getTime();
-      
-      // 检查修改时间
-      if (this.lastModified && currentModified <= this.lastModified) {
+
+      // 大小、修改时间和 inode 都没变时视为未变化（同步工具可能恢复较早的修改时间，所以不比较先后）
+      if (!this.hasStatsChanged(stats)) {
         return false;
       }
-      
+
       // 检查文件哈希（如果启用）
       if (this.options.enableHashCheck && this.lastHash) {
         const fileBuffer = fs.readFileSync(filePath);
         const currentHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-        
+
         if (currentHash === this.lastHash) {
+          // 内容相同（例如原子保存了相同内容），记录新的文件信息避免重复检查
+          this.recordStats(stats);
           return false;
         }
-        
+
         console.log(`📊 文件内容已变化: ${this.lastHash.substring(0, 8)}... -> ${currentHash.substring(0, 8)}...`);
       }
-      
+
       return true;
     } catch (error) {
       console.error('❌ 检查文件变化失败:', error);
@@ -255,15 +534,36 @@ class FileMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * 比较文件信息和上次记录的是否不同
+   * @param {fs.Stats} stats - 文件信息
+   * @returns {boolean}
+   */
+  hasStatsChanged(stats) {
+    return stats.mtimeMs !== this.lastModified ||
+      stats.size !== this.lastSize ||
+      stats.ino !== this.lastIno;
+  }
+
+  /**
+   * 记录文件信息
+   * @param {fs.Stats} stats - 文件信息
+   */
+  recordStats(stats) {
+    this.lastModified = stats.mtimeMs;
+    this.lastSize = stats.size;
+    this.lastIno = stats.ino;
+    this.lastDev = stats.dev;
+  }
+
   /**
    * 更新文件状态
    * @param {string} filePath - 文件路径
    */
   async updateFileState(filePath) {
     try {
-      const stats = fs.statSync(filePath);
-      this.lastModified = stats.mtime.getTime();
-      
+      this.recordStats(fs.statSync(filePath));
+
       if (this.options.enableHashCheck) {
         const fileBuffer = fs.readFileSync(filePath);
         this.lastHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
@@ -275,19 +575,27 @@ class FileMonitor extends EventEmitter {
   }
 
   /**
-   * 手动检查文件（定期检查）
-   * @param {string} filePath - 文件路径
+   * 手动检查文件（定期检查）：补充可能漏掉的文件夹事件，并在文件夹监控失效后重新启动
    */
-  async checkFileManually(filePath) {
-    if (!this.currentFile || this.isProcessing) {
+  async checkFileManually() {
+    if (!this.currentFile || this.isProcessing || this.stabilityTimer) {
       return;
     }
-    
+
     try {
-      const hasChanged = await this.checkFileChanged(filePath);
-      if (hasChanged) {
+      if (!this.directoryWatcher && this.startDirectoryWatcher()) {
+        console.log('🔁 文件夹监控已恢复');
+      }
+
+      const stats = this.statFile(this.currentFile);
+      if (!stats) {
+        this.handleFileMissing();
+        return;
+      }
+
+      if (this.state === WATCH_STATES.MISSING || this.hasStatsChanged(stats)) {
         console.log('📊 定期检查发现文件变化');
-        await this.processFileChange();
+        this.scheduleCheck();
       }
     } catch (error) {
       console.error('❌ 手动检查文件失败:', error);
@@ -320,10 +628,11 @@ class FileMonitor extends EventEmitter {
    */
   startStatusReport() {
     this.statusInterval = setInterval(() => {
-      if (this.currentFile && fs.existsSync(this.currentFile)) {
+      if (this.currentFile) {
         this.emit('statusReport', {
           filePath: this.currentFile,
-          isWatching: !!this.fileWatcher,
+          state: this.state,
+          isWatching: !!this.directoryWatcher,
           lastModified: this.lastModified,
           timestamp: new Date().toISOString()
         });
@@ -332,23 +641,22 @@ class FileMonitor extends EventEmitter {
   }
 
   /**
-   * 处理监控器错误
+   * 处理监控器错误：文件夹被删除或不可访问时关闭监控器，由定期检查稍后重新启动
    * @param {Error} error - 错误对象
    */
   handleWatcherError(error) {
-    console.error('❌ 文件监控错误:', error);
-    this.emit('watchError', {
-      error: error.message,
-      filePath: this.currentFile,
-      timestamp: new Date().toISOString()
-    });
+    console.warn('⚠️ 文件夹监控错误，改用定期检查:', error.message);
+    this.closeDirectoryWatcher();
+    if (this.currentFile) {
+      this.setState(this.state, `文件夹监控中断，改用定期检查: ${error.message}`);
+    }
   }
 
   /**
    * 处理监控器关闭
    */
   handleWatcherClose() {
-    console.log('🔚 文件监控已关闭');
+    console.log('🔚 文件夹监控已关闭');
     this.emit('watchClosed', {
       filePath: this.currentFile,
       timestamp: new Date().toISOString()
@@ -361,7 +669,9 @@ class FileMonitor extends EventEmitter {
    */
   getStatus() {
     return {
-      isWatching: !!this.fileWatcher,
+      state: this.state,
+      message: this.stateMessage,
+      isWatching: !!this.directoryWatcher,
       currentFile: this.currentFile,
       lastModified: this.lastModified,
       lastHash: this.lastHash ? this.lastHash.substring(0, 8) + '...' : null,
@@ -378,4 +688,6 @@ class FileMonitor extends EventEmitter {
   }
 }
 
+FileMonitor.WATCH_STATES = WATCH_STATES;
+
 module.exports = FileMonitor;
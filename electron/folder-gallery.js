@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// public 目录下的模块在浏览器中通过全局变量互相引用，加载渲染器前先注册合成器和 Cel 缓存
+global.AseCompositor = global.AseCompositor || require('../public/ase-compositor.js');
+global.AseCelCache = global.AseCelCache || require('../public/ase-cel-cache.js');
+const AseCanvasRenderer = require('../public/ase-canvas-renderer.js');
+
+// 图库中显示的文件扩展名
+const SPRITE_EXTENSIONS = ['.aseprite', '.ase'];
+
+// 扫描时跳过的文件夹（以 . 开头的文件夹也会跳过）
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+/**
+ * 文件夹图库
+ * 递归扫描文件夹中的 Aseprite 文件，监控文件的添加、删除和修改，并为每个文件生成缩略图
+ *
+ * 收到 fs.watch 事件后延迟扫描整个文件夹；文件的大小和修改时间（或文件消失）要在连续两次扫描中
+ * 保持一致才会发送 galleryChanged 事件，避免报告写了一半的文件或原子保存时暂时消失的文件。
+ * 定期扫描用于补上 fs.watch 漏掉的变化。扫描使用异步文件操作，缩略图在 ParseWorker 的线程中解析和合成，
+ * 都不会阻塞主进程。
+ */
+class FolderGallery extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      worker: null, // 生成缩略图的 ParseWorker
+      scanDelay: 300, // 收到变化后等待多久再扫描
+      stabilityInterval: 200, // 文件状态未稳定时再次扫描的间隔
+      rescanInterval: 5000, // 定期完整扫描的间隔
+      thumbnailSize: 128, // 缩略图的最大边长
+      maxThumbnailFrames: 32, // 标签动画缩略图的最大帧数
+      ...options
+    };
+
+    this.folderPath = null;
+    this.files = new Map(); // 文件绝对路径 -> 文件信息
+    this.pending = new Map(); // 文件绝对路径 -> 扫描到但尚未确认的状态（null 表示文件消失）
+    this.thumbnailCache = new Map(); // 文件路径和标签 -> { mtime, thumbnail }
+    this.thumbnailTasks = new Map(); // 文件路径和标签 -> 生成中的缩略图
+    this.thumbnailQueue = Promise.resolve(); // 缩略图依次生成，滚动图库时不会同时启动大量线程
+    this.scanning = false;
+    this.rescanRequested = false; // 扫描进行中又需要扫描时，完成后再扫描一次
+    this.watcher = null;
+    this.scanTimer = null;
+    this.rescanTimer = null;
+  }
+
+  /**
+   * 打开文件夹并开始监控
+   * @param {string} folderPath - 文件夹路径
+   * @returns {Promise<Array<Object>>} - 文件夹中的 Aseprite 文件
+   */
+  async open(folderPath) {
+    this.close();
+
+    const root = path.resolve(folderPath);
+    const stats = await fs.promises.stat(root).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`文件夹不存在: ${root}`);
+    }
+
+    this.folderPath = root;
+    const entries = await this.scanFolder(root);
+    if (this.folderPath !== root) {
+      throw new Error(`图库文件夹已关闭: ${root}`);
+    }
+    entries.forEach(entry => this.files.set(entry.filePath, entry));
+    this.startWatcher();
+    this.rescanTimer = setInterval(() => this.scan(), this.options.rescanInterval);
+
+    console.log(`🖼️ 已打开图库文件夹: ${root}（${this.files.size} 个文件）`);
+    return this.getFiles();
+  }
+
+  /**
+   * 关闭文件夹，停止监控并清除缓存
+   */
+  close() {
+    this.closeWatcher();
+
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+      this.scanTimer = null;
+    }
+
+    if (this.rescanTimer) {
+      clearInterval(this.rescanTimer);
+      this.rescanTimer = null;
+    }
+
+    if (this.folderPath) {
+      console.log(`⏹️ 已关闭图库文件夹: ${this.folderPath}`);
+    }
+    this.folderPath = null;
+    this.files.clear();
+    this.pending.clear();
+    this.thumbnailCache.clear();
+    this.thumbnailTasks.clear();
+  }
+
+  /**
+   * 获取文件夹中的文件，按相对路径排序
+   * @returns {Array<Object>} - { filePath, relativePath, name, size, mtime }
+   */
+  getFiles() {
+    return [...this.files.values()].sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  /**
+   * 递归监控文件夹，任何变化都只触发一次延迟扫描
+   */
+  startWatcher() {
+    try {
+      this.watcher = fs.watch(this.folderPath, { recursive: true }, () => {
+        this.scheduleScan(this.options.scanDelay);
+      });
+      this.watcher.on('error', (error) => {
+        // 监控失效后依靠定期扫描继续更新
+        console.warn('⚠️ 图库文件夹监控出错，改为定期扫描:', error.message);
+        this.closeWatcher();
+      });
+    } catch (error) {
+      console.warn('⚠️ 无法监控图库文件夹，改为定期扫描:', error.message);
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * 关闭文件夹监控
+   */
+  closeWatcher() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * 延迟扫描，期间的多次变化合并为一次
+   * @param {number} delay - 延迟时间
+   */
+  scheduleScan(delay) {
+    if (this.scanTimer) {
+      clearTimeout(this.scanTimer);
+    }
+    this.scanTimer = setTimeout(() => {
+      this.scanTimer = null;
+      this.scan();
+    }, delay);
+  }
+
+  /**
+   * 递归查找文件夹中的 Aseprite 文件
+   * @param {string} root - 图库文件夹
+   * @returns {Promise<Array<Object>>}
+   */
+  async scanFolder(root) {
+    const entries = [];
+
+    const walk = async (folderPath) => {
+      let items;
+      try {
+        items = await fs.promises.readdir(folderPath, { withFileTypes: true });
+      } catch (error) {
+        return; // 文件夹在扫描过程中被删除或无权访问
+      }
+
+      for (const item of items) {
+        if (item.name.startsWith('.')) continue;
+
+        const itemPath = path.join(folderPath, item.name);
+        if (item.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.includes(item.name)) {
+            await walk(itemPath);
+          }
+        } else if (item.isFile() && SPRITE_EXTENSIONS.includes(path.extname(item.name).toLowerCase())) {
+          const entry = await FolderGallery.createEntry(root, itemPath);
+          if (entry) {
+            entries.push(entry);
+          }
+        }
+      }
+    };
+
+    await walk(root);
+    return entries;
+  }
+
+  /**
+   * 读取文件信息，文件不存在时返回 null
+   * @param {string} root - 图库文件夹
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Object|null>}
+   */
+  static async createEntry(root, filePath) {
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return {
+        filePath,
+        relativePath: path.relative(root, filePath).split(path.sep).join('/'),
+        name: path.basename(filePath),
+        size: stats.size,
+        mtime: stats.mtimeMs
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 扫描文件夹并与已知文件比较，发送稳定下来的变化
+   */
+  async scan() {
+    if (!this.folderPath) return;
+    if (this.scanning) {
+      this.rescanRequested = true;
+      return;
+    }
+
+    const root = this.folderPath;
+    this.scanning = true;
+    let entries;
+    try {
+      entries = await this.scanFolder(root);
+    } finally {
+      this.scanning = false;
+    }
+
+    // 扫描期间文件夹被关闭或换成其它文件夹，结果作废
+    if (this.folderPath !== root) return;
+    if (this.rescanRequested) {
+      this.rescanRequested = false;
+      this.scheduleScan(0);
+    }
+
+    const found = new Map(entries.map(entry => [entry.filePath, entry]));
+    const filePaths = new Set([...found.keys(), ...this.files.keys()]);
+    let unstable = false;
+
+    filePaths.forEach(filePath => {
+      const entry = found.get(filePath) || null;
+      const known = this.files.get(filePath);
+      const state = entry ? `${entry.size}:${entry.mtime}` : null;
+
+      // 与已知状态一致，没有变化
+      if (known ? state === `${known.size}:${known.mtime}` : !entry) {
+        this.pending.delete(filePath);
+        return;
+      }
+
+      // 第一次看到新状态时先记下，下次扫描仍然相同才确认
+      if (!this.pending.has(filePath) || this.pending.get(filePath) !== state) {
+        this.pending.set(filePath, state);
+        unstable = true;
+        return;
+      }
+
+      this.pending.delete(filePath);
+      if (entry) {
+        this.files.set(filePath, entry);
+        this.emitChange(known ? 'changed' : 'added', entry);
+      } else {
+        this.files.delete(filePath);
+        this.clearThumbnails(filePath);
+        this.emitChange('removed', known);
+      }
+    });
+
+    // 新出现又马上消失的文件不再等待确认
+    [...this.pending.keys()].forEach(filePath => {
+      if (!filePaths.has(filePath)) {
+        this.pending.delete(filePath);
+      }
+    });
+
+    if (unstable) {
+      this.scheduleScan(this.options.stabilityInterval);
+    }
+  }
+
+  /**
+   * 发送图库变化事件
+   * @param {string} type - added、removed 或 changed
+   * @param {Object} file - 文件信息
+   */
+  emitChange(type, file) {
+    const icons = { added: '➕', removed: '➖', changed: '📝' };
+    console.log(`${icons[type]} 图库文件${type === 'added' ? '已添加' : type === 'removed' ? '已删除' : '已修改'}: ${file.relativePath}`);
+
+    this.emit('galleryChanged', {
+      type,
+      file,
+      folderPath: this.folderPath,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * 删除文件的缩略图缓存
+   * @param {string} filePath - 文件路径
+   */
+  clearThumbnails(filePath) {
+    [...this.thumbnailCache.keys()].forEach(key => {
+      if (key.startsWith(`${filePath}\n`)) {
+        this.thumbnailCache.delete(key);
+      }
+    });
+  }
+
+  /**
+   * 获取文件的缩略图（按修改时间缓存），在 ParseWorker 的线程中解析和合成
+   * @param {string} filePath - 文件路径
+   * @param {string} tagName - 标签名，为空或文件中没有该标签时只渲染第一帧
+   * @returns {Promise<Object>} - 见 createThumbnail
+   */
+  async getThumbnail(filePath, tagName = '') {
+    const entry = this.files.get(filePath);
+    if (!entry) {
+      throw new Error(`文件不在图库中: ${filePath}`);
+    }
+
+    const key = `${filePath}\n${tagName}`;
+    const cached = this.thumbnailCache.get(key);
+    if (cached && cached.mtime === entry.mtime) {
+      return cached.thumbnail;
+    }
+
+    // 同一缩略图的重复请求共用一个任务
+    const running = this.thumbnailTasks.get(key);
+    if (running && running.mtime === entry.mtime) {
+      return running.promise;
+    }
+
+    const { thumbnailSize, maxThumbnailFrames } = this.options;
+    const promise = this.thumbnailQueue
+      .then(() => this.options.worker.createThumbnail(filePath, tagName, { thumbnailSize, maxThumbnailFrames }));
+    this.thumbnailQueue = promise.catch(() => {});
+    this.thumbnailTasks.set(key, { mtime: entry.mtime, promise });
+
+    try {
+      const thumbnail = await promise;
+      // 生成期间文件被修改、删除或图库被关闭时不缓存
+      if (this.files.get(filePath) === entry) {
+        this.thumbnailCache.set(key, { mtime: entry.mtime, thumbnail });
+      }
+      return thumbnail;
+    } finally {
+      if (this.thumbnailTasks.get(key) && this.thumbnailTasks.get(key).promise === promise) {
+        this.thumbnailTasks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 渲染缩略图帧（在 ParseWorker 的线程中调用）
+   * @param {Object} aseData - 解析后的文件数据
+   * @param {string} tagName - 标签名
+   * @param {Object} options - { thumbnailSize, maxThumbnailFrames }
+   * @returns {{width: number, height: number, numFrames: number, tag: string|null, tags: Array<string>,
+   *           frames: Array<{duration: number, image: Object}>}}
+   */
+  static createThumbnail(aseData, tagName, options) {
+    const renderer = new AseCanvasRenderer(null);
+    renderer.aseData = aseData;
+
+    const tags = renderer.getTags();
+    const tagIndex = tagName ? tags.findIndex(tag => tag.name === tagName) : -1;
+    const frames = tagIndex === -1
+      ? [{ duration: renderer.getFrameDuration(0), image: renderer.composeExportImage(0) }]
+      : renderer.getExportFrames({ tagIndex }).frames.slice(0, options.maxThumbnailFrames);
+
+    // 乒乓等方向会重复使用同一帧图像，每帧只缩小一次
+    const shrunk = new Map();
+    return {
+      width: aseData.width,
+      height: aseData.height,
+      numFrames: aseData.numFrames || aseData.frames.length,
+      tag: tagIndex === -1 ? null : tagName,
+      tags: tags.map(tag => tag.name),
+      frames: frames.map(frame => {
+        if (!shrunk.has(frame.image)) {
+          shrunk.set(frame.image, FolderGallery.shrinkImage(frame.image, options.thumbnailSize));
+        }
+        return { duration: frame.duration, image: shrunk.get(frame.image) };
+      })
+    };
+  }
+
+  /**
+   * 按最近邻缩小图像，使最长边不超过 maxSize（小图像原样返回）
+   * @param {Object} image - RGBA 图像
+   * @param {number} maxSize - 最大边长
+   * @returns {Object}
+   */
+  static shrinkImage(image, maxSize) {
+    const ratio = Math.max(image.width, image.height) / maxSize;
+    if (ratio <= 1) {
+      return image;
+    }
+
+    const width = Math.max(1, Math.round(image.width / ratio));
+    const height = Math.max(1, Math.round(image.height / ratio));
+    const result = AseCompositor.createImage(width, height);
+    for (let y = 0; y < height; y++) {
+      const sy = Math.floor(y * image.height / height);
+      for (let x = 0; x < width; x++) {
+        const sx = Math.floor(x * image.width / width);
+        const src = (sy * image.width + sx) * 4;
+        const dst = (y * width + x) * 4;
+        result.data[dst] = image.data[src];
+        result.data[dst + 1] = image.data[src + 1];
+        result.data[dst + 2] = image.data[src + 2];
+        result.data[dst + 3] = image.data[src + 3];
+      }
+    }
+    return result;
+  }
+}
+
+FolderGallery.SPRITE_EXTENSIONS = SPRITE_EXTENSIONS;
+
+module.exports = FolderGallery;
@@ -1,13 +1,20 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const Aseprite = require('ase-parser');
 const FileMonitor = require('./file-monitor');
+const AutoExporter = require('./auto-exporter');
+const FolderGallery = require('./folder-gallery');
+const ParseWorker = require('./parse-worker');
+const AseDiff = require('../public/ase-diff.js');
 
 // 保持对窗口对象的全局引用
 let mainWindow;
-let currentFilePath = null;
-let fileMonitor = null;
+let currentFilePath = null; // 最近打开的文件
+const fileMonitors = new Map(); // 文件绝对路径 -> FileMonitor，每个打开的文件一个监控器
+const sentFrameHashes = new Map(); // 文件绝对路径 -> 最近发送给渲染进程的帧哈希，文件更新时只发送变化的帧
+let autoExporter = null;
+let folderGallery = null; // 图库模式打开的文件夹
+const parseWorker = new ParseWorker(); // 在后台线程中解析文件，同一文件的新解析会取消旧解析
 
 // 创建主窗口
 function createWindow() {
@@ -57,9 +64,9 @@ function createWindow() {
   // 当窗口被关闭时
   mainWindow.on('closed', () => {
     mainWindow = null;
-    if (fileMonitor) {
-      fileMonitor.destroy();
-      fileMonitor = null;
+    destroyFileMonitors();
+    if (folderGallery) {
+      folderGallery.close();
     }
   });
 
@@ -91,64 +98,16 @@ function createWindow() {
   });
 }
 
-// 解析 Aseprite 文件
-function parseAsepriteFile(filePath) {
-  try {
-    const buff = fs.readFileSync(filePath);
-    const aseFile = new Aseprite(buff, path.basename(filePath));
-    aseFile.parse();
-    
-    // 处理帧数据
-    const processedFrames = aseFile.frames.map((frame, index) => {
-      let frameWidth = aseFile.width;
-      let frameHeight = aseFile.height;
-      
-      if (frame.cels && frame.cels.length > 0) {
-        const firstCel = frame.cels[0];
-        if (firstCel && firstCel.w && firstCel.h) {
-          frameWidth = firstCel.w;
-          frameHeight = firstCel.h;
-        }
-      }
-      
-      return {
-        ...frame,
-        width: frameWidth,
-        height: frameHeight
-      };
-    });
-    
-    return {
-      success: true,
-      data: {
-        frames: processedFrames,
-        width: aseFile.width,
-        height: aseFile.height,
-        filename: path.basename(filePath),
-        numFrames: aseFile.frames.length,
-        colorDepth: aseFile.colorDepth || 32,
-        pixelRatio: aseFile.pixelRatio || '1:1',
-        layers: aseFile.layers || [],
-        palette: aseFile.palette
-      }
-    };
-  } catch (error) {
-    console.error('解析文件失败:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+// 向渲染进程发送消息（窗口已关闭时忽略）
+function sendToWindow(channel, data) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, data);
   }
 }
 
-// 初始化文件监控器
-function initializeFileMonitor() {
-  if (fileMonitor) {
-    fileMonitor.destroy();
-  }
-  
-  fileMonitor = new FileMonitor({
-    debounceDelay: 200,
+// 为单个文件创建监控器，所有事件都带上 filePath，渲染进程据此更新对应的标签页
+function createFileMonitor() {
+  const fileMonitor = new FileMonitor({
     checkInterval: 1000,
     enableHashCheck: true,
     enableStatusReport: true,
@@ -160,88 +119,142 @@ function initializeFileMonitor() {
     console.log(`📝 Electron 检测到文件变化: ${data.filePath}`);
     
     try {
-      const parseResult = parseAsepriteFile(data.filePath);
+      // 在后台线程中解析；解析期间文件再次变化时旧的解析被取消，只发送最新的内容
+      const parseResult = await parseWorker.parse(data.filePath, { key: data.filePath });
       if (parseResult.success) {
-        // 确保窗口存在且未关闭
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('file-updated', {
-            message: '文件已更新',
-            data: parseResult.data,
-            timestamp: data.timestamp,
+        // 渲染进程已有的帧只发送哈希，由渲染进程从旧数据中找回（哈希已在解析线程中计算）
+        const previousHashes = sentFrameHashes.get(data.filePath);
+        const fileData = previousHashes ? AseDiff.createPatch(parseResult.data, previousHashes) : parseResult.data;
+        sentFrameHashes.set(data.filePath, parseResult.data.frameHashes);
+        
+        sendToWindow('file-updated', {
+          message: '文件已更新',
+          data: fileData,
+          timestamp: data.timestamp,
+          filePath: data.filePath
+        });
+        
+        console.log('✅ Electron 已通知渲染进程更新预览');
+        
+        // 强制刷新渲染进程
+        setTimeout(() => {
+          sendToWindow('force-refresh', {
+            timestamp: new Date().toISOString(),
             filePath: data.filePath
           });
-          
-          console.log('✅ Electron 已通知渲染进程更新预览');
-          
-          // 强制刷新渲染进程
-          setTimeout(() => {
-            if (mainWindow && !mainWindow.isDestroyed()) {
-              mainWindow.webContents.send('force-refresh', {
-                timestamp: new Date().toISOString()
-              });
-            }
-          }, 50);
+        }, 50);
+        
+        // 按该文件的导出配置在后台线程中自动导出（结果通过 export-log 事件发送给渲染进程）
+        if (autoExporter) {
+          autoExporter.runProfiles(data.filePath);
         }
       } else {
         console.error('❌ 文件解析失败:', parseResult.error);
-        if (mainWindow && !mainWindow.isDestroyed()) {
-          mainWindow.webContents.send('file-update-error', {
-            error: parseResult.error,
-            timestamp: data.timestamp
-          });
-        }
+        sendToWindow('file-update-error', {
+          error: parseResult.error,
+          details: parseResult.details || null,
+          timestamp: data.timestamp,
+          filePath: data.filePath
+        });
       }
     } catch (error) {
-      console.error('❌ Electron 文件解析失败:', error);
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('file-update-error', {
-          error: error.message,
-          timestamp: data.timestamp
-        });
+      if (error.cancelled) {
+        console.log(`⏭️ 跳过过时的解析: ${path.basename(data.filePath)}`);
+        return;
       }
+      console.error('❌ Electron 文件解析失败:', error);
+      sendToWindow('file-update-error', {
+        error: error.message,
+        timestamp: data.timestamp,
+        filePath: data.filePath
+      });
     }
   });
   
   // 监听监控错误事件
   fileMonitor.on('watchError', (data) => {
     console.error('❌ Electron 文件监控错误:', data.error);
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('file-watch-error', {
-        error: data.error,
-        timestamp: data.timestamp
-      });
+    sendToWindow('file-watch-error', {
+      error: data.error,
+      timestamp: data.timestamp,
+      filePath: data.filePath
+    });
+  });
+  
+  // 监听监控状态变化（写入中、文件暂时不存在、恢复、重命名等）
+  fileMonitor.on('stateChanged', (data) => {
+    sendToWindow('file-watch-state', data);
+  });
+  
+  // 文件在同一文件夹内被重命名时，后续操作使用新路径
+  fileMonitor.on('fileRenamed', (data) => {
+    console.log(`🔀 Electron 跟随文件重命名: ${data.oldPath} -> ${data.filePath}`);
+    fileMonitors.delete(data.oldPath);
+    fileMonitors.set(data.filePath, fileMonitor);
+    if (sentFrameHashes.has(data.oldPath)) {
+      sentFrameHashes.set(data.filePath, sentFrameHashes.get(data.oldPath));
+      sentFrameHashes.delete(data.oldPath);
+    }
+    if (currentFilePath && path.resolve(currentFilePath) === data.oldPath) {
+      currentFilePath = data.filePath;
+    }
+    if (autoExporter) {
+      autoExporter.renameProfiles(data.oldPath, data.filePath);
     }
+    sendToWindow('file-renamed', data);
   });
   
   // 监听监控状态报告
   fileMonitor.on('statusReport', (data) => {
     console.log(`📊 Electron 监控状态: ${path.basename(data.filePath)} - 活跃`);
   });
+  
+  return fileMonitor;
 }
 
-// 启动文件监控
+// 启动文件监控（已在监控的文件不会重复创建监控器）
 async function startFileWatching(filePath) {
+  const key = path.resolve(filePath);
+  if (fileMonitors.has(key)) {
+    return;
+  }
+  
+  const fileMonitor = createFileMonitor();
+  fileMonitors.set(key, fileMonitor);
   try {
-    if (!fileMonitor) {
-      initializeFileMonitor();
-    }
-    
-    await fileMonitor.startWatching(filePath);
-    console.log(`✅ Electron 文件监控已启动: ${path.basename(filePath)}`);
+    await fileMonitor.startWatching(key);
+    console.log(`✅ Electron 文件监控已启动: ${path.basename(key)}（共 ${fileMonitors.size} 个文件）`);
   } catch (error) {
+    fileMonitors.delete(key);
+    fileMonitor.destroy();
     console.error('❌ 启动 Electron 文件监控失败:', error);
     throw error;
   }
 }
 
-// 停止文件监控
-async function stopFileWatching() {
-  if (fileMonitor) {
-    await fileMonitor.stopWatching();
-    console.log('⏹️ Electron 文件监控已停止');
+// 停止单个文件的监控；不传路径时停止全部
+async function stopFileWatching(filePath) {
+  const keys = filePath ? [path.resolve(filePath)] : [...fileMonitors.keys()];
+  for (const key of keys) {
+    const fileMonitor = fileMonitors.get(key);
+    sentFrameHashes.delete(key);
+    parseWorker.cancel(key);
+    if (fileMonitor) {
+      fileMonitors.delete(key);
+      await fileMonitor.destroy();
+      console.log(`⏹️ Electron 文件监控已停止: ${path.basename(key)}`);
+    }
   }
 }
 
+// 销毁所有文件监控器
+function destroyFileMonitors() {
+  fileMonitors.forEach(fileMonitor => fileMonitor.destroy());
+  fileMonitors.clear();
+  sentFrameHashes.clear();
+  parseWorker.destroy();
+}
+
 // IPC 事件处理
 ipcMain.handle('open-file', async (event, filePath) => {
   try {
@@ -256,11 +269,14 @@ ipcMain.handle('open-file', async (event, filePath) => {
     }
 
     console.log('文件存在，开始解析...');
-    const parseResult = parseAsepriteFile(filePath);
+    const parseResult = await parseWorker.parse(filePath);
     if (parseResult.success) {
+      // 使用绝对路径，与监控事件中的 filePath 保持一致
+      filePath = path.resolve(filePath);
       currentFilePath = filePath;
+      sentFrameHashes.set(filePath, parseResult.data.frameHashes);
       
-      // 启动文件监控
+      // 启动文件监控（其它已打开文件的监控保持运行）
       await startFileWatching(filePath);
       
     console.log('文件解析成功，帧数:', parseResult.data.frames.length);
@@ -276,7 +292,8 @@ ipcMain.handle('open-file', async (event, filePath) => {
       console.error('文件解析失败:', parseResult.error);
       return {
         success: false,
-        error: parseResult.error
+        error: parseResult.error,
+        details: parseResult.details || null
       };
     }
   } catch (error) {
@@ -288,7 +305,7 @@ ipcMain.handle('open-file', async (event, filePath) => {
   }
 });
 
-ipcMain.handle('get-current-file', () => {
+ipcMain.handle('get-current-file', async () => {
   if (!currentFilePath || !fs.existsSync(currentFilePath)) {
     return {
       success: false,
@@ -296,8 +313,7 @@ ipcMain.handle('get-current-file', () => {
     };
   }
 
-  const parseResult = parseAsepriteFile(currentFilePath);
-  return parseResult;
+  return parseWorker.parse(currentFilePath);
 });
 
 // 启动文件监控
@@ -319,10 +335,10 @@ ipcMain.handle('startFileWatch', async (event, filePath) => {
 });
 
 // 停止文件监控
-ipcMain.handle('stopFileWatch', async () => {
+ipcMain.handle('stopFileWatch', async (event, filePath) => {
   try {
-    console.log('IPC: 停止文件监控');
-    await stopFileWatching();
+    console.log('IPC: 停止文件监控:', filePath || '全部');
+    await stopFileWatching(filePath);
     return {
       success: true,
       message: '文件监控已停止'
@@ -370,6 +386,179 @@ ipcMain.handle('open-file-dialog', async () => {
   }
 });
 
+// 选择批量导出的目标文件夹
+ipcMain.handle('select-export-folder', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: '选择导出文件夹',
+      properties: ['openDirectory', 'createDirectory']
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+      console.log('用户选择的导出文件夹:', result.filePaths[0]);
+      return {
+        success: true,
+        folderPath: result.filePaths[0]
+      };
+    } else {
+      return {
+        success: false,
+        error: '用户取消了文件夹选择'
+      };
+    }
+  } catch (error) {
+    console.error('文件夹选择对话框错误:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 将批量导出的文件写入文件夹，files 为 [{ name: 相对路径, data: Uint8Array }]
+ipcMain.handle('write-export-files', async (event, folderPath, files) => {
+  try {
+    AutoExporter.writeFiles(folderPath, files);
+    console.log(`📦 已导出 ${files.length} 个文件到:`, folderPath);
+    return {
+      success: true,
+      count: files.length
+    };
+  } catch (error) {
+    console.error('写入导出文件失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 获取文件的自动导出配置
+ipcMain.handle('get-export-profiles', async (event, filePath) => {
+  try {
+    return {
+      success: true,
+      profiles: autoExporter.getProfiles(filePath)
+    };
+  } catch (error) {
+    console.error('获取导出配置失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 保存文件的自动导出配置
+ipcMain.handle('save-export-profiles', async (event, filePath, profiles) => {
+  try {
+    return {
+      success: true,
+      profiles: autoExporter.setProfiles(filePath, profiles)
+    };
+  } catch (error) {
+    console.error('保存导出配置失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 立即按导出配置导出一次（不等待文件保存）
+ipcMain.handle('run-export-profiles', async (event, filePath) => {
+  try {
+    return {
+      success: true,
+      results: await autoExporter.runProfiles(filePath)
+    };
+  } catch (error) {
+    console.error('运行导出配置失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 打开文件夹选择对话框（图库模式）
+ipcMain.handle('open-folder-dialog', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: '选择包含 Aseprite 文件的文件夹',
+      properties: ['openDirectory']
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+      console.log('用户选择的图库文件夹:', result.filePaths[0]);
+      return {
+        success: true,
+        folderPath: result.filePaths[0]
+      };
+    } else {
+      return {
+        success: false,
+        error: '用户取消了文件夹选择'
+      };
+    }
+  } catch (error) {
+    console.error('文件夹选择对话框错误:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 以图库模式打开文件夹，之后文件的添加、删除和修改通过 gallery-changed 事件通知
+ipcMain.handle('open-folder', async (event, folderPath) => {
+  try {
+    const files = await folderGallery.open(folderPath);
+    return {
+      success: true,
+      folderPath: folderGallery.folderPath,
+      files
+    };
+  } catch (error) {
+    console.error('打开图库文件夹失败:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 关闭图库文件夹
+ipcMain.handle('close-folder', async () => {
+  folderGallery.close();
+  return {
+    success: true
+  };
+});
+
+// 获取图库中文件的缩略图
+ipcMain.handle('get-gallery-thumbnail', async (event, filePath, tagName) => {
+  try {
+    return {
+      success: true,
+      thumbnail: await folderGallery.getThumbnail(filePath, tagName)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// 获取最近的自动导出日志
+ipcMain.handle('get-export-logs', async () => {
+  return {
+    success: true,
+    logs: autoExporter.getLogs()
+  };
+});
+
 
 // 应用事件
 app.whenReady().then(() => {
@@ -382,6 +571,26 @@ app.whenReady().then(() => {
   app.commandLine.appendSwitch('--disable-renderer-backgrounding');
   
   console.log('应用启动参数已设置');
+  
+  // 导出配置保存在用户数据目录，重启后仍然有效
+  autoExporter = new AutoExporter({
+    storePath: path.join(app.getPath('userData'), 'export-profiles.json'),
+    worker: parseWorker
+  });
+  autoExporter.on('log', (entry) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('export-log', entry);
+    }
+  });
+  
+  // 图库缩略图在后台线程中使用与打开文件相同的解析流程
+  folderGallery = new FolderGallery({
+    worker: parseWorker
+  });
+  folderGallery.on('galleryChanged', (data) => {
+    sendToWindow('gallery-changed', data);
+  });
+  
   createWindow();
 });
 
@@ -398,9 +607,9 @@ app.on('activate', () => {
 });
 
 // 优雅关闭
-app.on('before-quit', async () => {
-  if (fileMonitor) {
-    await fileMonitor.destroy();
-    fileMonitor = null;
+app.on('before-quit', () => {
+  destroyFileMonitors();
+  if (folderGallery) {
+    folderGallery.close();
   }
 });
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+// 主进程与页面共用 public/ase-reader.js 解析文件，public 目录下的模块通过全局变量使用 pako 和合成器
+global.pako = global.pako || require('../public/pako.min.js');
+global.AseCompositor = global.AseCompositor || require('../public/ase-compositor.js');
+const AseReader = require('../public/ase-reader.js');
+const AseDiff = require('../public/ase-diff.js');
+const AseParseWorker = require('../public/ase-parse-worker.js');
+
+// 读取文件为 ArrayBuffer（Node 的 Buffer 可能共享更大的内存池，需要截取）
+function readArrayBuffer(filePath) {
+  const buff = fs.readFileSync(filePath);
+  return buff.buffer.slice(buff.byteOffset, buff.byteOffset + buff.length);
+}
+
+// 从外部文件加载图块集像素数据
+function resolveExternalTilesets(tilesets, externalFiles, filePath) {
+  return tilesets.map(tileset => {
+    if (!tileset.externalFile || tileset.rawTilesetData) {
+      return tileset;
+    }
+
+    const entry = externalFiles.find(file => file.id === tileset.externalFile.id);
+    if (!entry) {
+      console.warn(`外部图块集 ${tileset.name} 找不到文件引用 ${tileset.externalFile.id}`);
+      return tileset;
+    }
+
+    const externalPath = path.resolve(path.dirname(filePath), entry.fileName);
+    try {
+      const externalFile = AseReader.read(readArrayBuffer(externalPath), path.basename(externalPath));
+      const source = externalFile.tilesets.find(ts => ts.id === tileset.externalFile.tilesetId);
+      if (!source || !source.rawTilesetData) {
+        console.warn(`外部文件 ${externalPath} 中没有图块集 ${tileset.externalFile.tilesetId}`);
+        return tileset;
+      }
+      console.log(`已加载外部图块集: ${tileset.name} <- ${externalPath}`);
+      return {
+        ...tileset,
+        tileCount: source.tileCount,
+        tileWidth: source.tileWidth,
+        tileHeight: source.tileHeight,
+        rawTilesetData: source.rawTilesetData,
+        externalPath
+      };
+    } catch (error) {
+      console.warn(`加载外部图块集失败: ${externalPath}`, error.message);
+      return tileset;
+    }
+  });
+}
+
+// 解析 Aseprite 文件，返回 { success, data } 或 { success: false, error, details }
+function parseFile(filePath) {
+  try {
+    const arrayBuffer = readArrayBuffer(filePath);
+
+    // 先检查文件结构，保存到一半或损坏的文件返回出错的帧、块类型和字节偏移
+    const structureError = AseReader.validate(arrayBuffer);
+    if (structureError) {
+      console.error('❌ 文件结构无效:', structureError.message);
+      return {
+        success: false,
+        error: structureError.message,
+        details: structureError.details
+      };
+    }
+
+    const data = AseReader.read(arrayBuffer, path.basename(filePath));
+    data.tilesets = resolveExternalTilesets(data.tilesets, data.externalFiles, filePath);
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('解析文件失败:', error);
+    return {
+      success: false,
+      error: error.message,
+      details: error.details || null
+    };
+  }
+}
+
+// 线程中执行的任务，返回 { result, transferList }
+const TASKS = {
+  // 解析文件并计算帧和 Cel 的哈希，像素数据作为 transferable 传回主进程
+  // 不预先解码：发送给渲染进程的数据只包含原始像素，渲染进程合并后只解码变化的 Cel，IPC 不会同时传输原始和解码后的像素
+  parse({ filePath }) {
+    const result = parseFile(filePath);
+    if (!result.success) {
+      return { result };
+    }
+
+    AseDiff.attachHashes(result.data);
+    return { result, transferList: AseParseWorker.collectTransferables(result.data) };
+  },
+
+  // 解析文件并按导出配置导出，合成、编码和写文件都不占用主进程
+  async export({ filePath, profiles }) {
+    const parseResult = parseFile(filePath);
+    if (!parseResult.success) {
+      throw new Error(parseResult.error);
+    }
+
+    // 只有导出任务需要渲染器和编码器，按需加载
+    const AutoExporter = require('./auto-exporter.js');
+    return { result: await AutoExporter.exportProfiles(filePath, parseResult.data, profiles) };
+  },
+
+  // 解析文件并合成图库缩略图，缩略图的像素数据作为 transferable 传回主进程
+  thumbnail({ filePath, tagName, options }) {
+    const parseResult = parseFile(filePath);
+    if (!parseResult.success) {
+      throw new Error(parseResult.error);
+    }
+
+    const FolderGallery = require('./folder-gallery.js');
+    const thumbnail = FolderGallery.createThumbnail(parseResult.data, tagName, options);
+    // 乒乓等方向的多帧共用同一图像，每个缓冲区只能转移一次
+    const transferList = [...new Set(thumbnail.frames.map(frame => frame.image.data.buffer))];
+    return { result: thumbnail, transferList };
+  }
+};
+
+if (!isMainThread) {
+  parentPort.on('message', async ({ id, type, ...payload }) => {
+    try {
+      const { result, transferList = [] } = await TASKS[type](payload);
+      parentPort.postMessage({ id, result }, transferList);
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+/**
+ * 在后台线程中解析 Aseprite 文件，以及执行自动导出和图库缩略图等需要解析结果的耗时任务
+ * 与页面中的 AseParseWorker 相同：每个任务使用一个线程，同一 key 的新任务会终止旧任务的线程，
+ * 文件连续保存时主进程只解析最新的内容，解析大文件时也不会阻塞窗口和 IPC
+ */
+class ParseWorker {
+  constructor() {
+    this.tasks = new Map(); // 任务 ID -> 进行中的任务
+    this.nextTaskId = 1;
+    this.idleWorker = null; // 上一个任务完成后留下的线程，下一个任务直接使用
+  }
+
+  /**
+   * 解析文件
+   * @param {string} filePath - 文件路径
+   * @param {Object} options - { key }；key 相同的新任务会取消旧任务
+   * @returns {Promise<Object>} - { success, data } 或 { success: false, error, details }，data 已附加帧和 Cel 的哈希；
+   *          被取消时以 cancelled 为 true 的错误拒绝
+   */
+  parse(filePath, options = {}) {
+    return this.runTask({ type: 'parse', filePath: path.resolve(filePath) }, options);
+  }
+
+  /**
+   * 解析文件并按导出配置导出
+   * @param {string} filePath - 文件路径
+   * @param {Array<Object>} profiles - 导出配置
+   * @returns {Promise<Array<Object>>} - 每个配置的结果 { profile, files, duration } 或 { profile, error }；
+   *          文件解析失败时拒绝
+   */
+  exportProfiles(filePath, profiles) {
+    return this.runTask({ type: 'export', filePath: path.resolve(filePath), profiles });
+  }
+
+  /**
+   * 解析文件并合成图库缩略图
+   * @param {string} filePath - 文件路径
+   * @param {string} tagName - 标签名，为空或文件中没有该标签时只渲染第一帧
+   * @param {Object} options - { thumbnailSize, maxThumbnailFrames }
+   * @returns {Promise<Object>} - 见 FolderGallery.createThumbnail；文件解析失败时拒绝
+   */
+  createThumbnail(filePath, tagName, options) {
+    return this.runTask({ type: 'thumbnail', filePath: path.resolve(filePath), tagName, options });
+  }
+
+  // 在线程中执行任务，resolve 线程返回的结果
+  runTask(message, options = {}) {
+    const { key = null } = options;
+    if (key !== null) {
+      this.cancel(key);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextTaskId++;
+      const task = { id, key, resolve, reject };
+      task.worker = this.idleWorker || new Worker(__filename);
+      task.worker.ref();
+      this.idleWorker = null;
+      this.tasks.set(id, task);
+
+      task.worker.on('message', (response) => {
+        if (!this.tasks.has(id) || response.id !== id) return;
+        this.finishTask(task, true);
+        if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response.result);
+        }
+      });
+      task.worker.on('error', (error) => {
+        if (!this.tasks.has(id)) return;
+        this.finishTask(task, false);
+        reject(new Error(`解析线程出错: ${error.message}`));
+      });
+      task.worker.on('exit', (code) => {
+        if (!this.tasks.has(id)) return;
+        this.tasks.delete(id);
+        reject(new Error(`解析线程意外退出: ${code}`));
+      });
+      task.worker.postMessage({ id, ...message });
+    });
+  }
+
+  /**
+   * 取消 key 对应的进行中任务
+   * @param {string} key - 任务的 key（通常为文件路径）
+   * @returns {boolean} - 是否有任务被取消
+   */
+  cancel(key) {
+    let cancelled = false;
+    [...this.tasks.values()].filter(task => task.key === key).forEach(task => {
+      this.finishTask(task, false);
+      const error = new Error('解析已取消：文件有更新的版本');
+      error.cancelled = true;
+      task.reject(error);
+      cancelled = true;
+    });
+    return cancelled;
+  }
+
+  /**
+   * 取消所有任务并结束线程
+   */
+  destroy() {
+    [...this.tasks.values()].forEach(task => {
+      this.finishTask(task, false);
+      const error = new Error('解析已取消');
+      error.cancelled = true;
+      task.reject(error);
+    });
+    if (this.idleWorker) {
+      this.idleWorker.terminate();
+      this.idleWorker = null;
+    }
+  }
+
+  // 结束任务；线程正常完成时留作下一个任务使用，否则终止（进行中的解析随之停止）
+  finishTask(task, reusable) {
+    this.tasks.delete(task.id);
+    task.worker.removeAllListeners('message');
+    task.worker.removeAllListeners('error');
+    task.worker.removeAllListeners('exit');
+    if (reusable && !this.idleWorker) {
+      this.idleWorker = task.worker;
+      // 空闲线程不阻止进程退出
+      task.worker.unref();
+    } else {
+      task.worker.terminate();
+    }
+  }
+}
+
+module.exports = ParseWorker;
@@ -8,6 +8,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 打开文件选择对话框
   openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
   
+  // 图库模式：打开文件夹、获取缩略图、监听文件夹中的文件变化
+  openFolderDialog: () => ipcRenderer.invoke('open-folder-dialog'),
+  openFolder: (folderPath) => ipcRenderer.invoke('open-folder', folderPath),
+  closeFolder: () => ipcRenderer.invoke('close-folder'),
+  getGalleryThumbnail: (filePath, tagName) => ipcRenderer.invoke('get-gallery-thumbnail', filePath, tagName),
+  onGalleryChanged: (callback) => ipcRenderer.on('gallery-changed', callback),
+  
+  // 选择导出文件夹
+  selectExportFolder: () => ipcRenderer.invoke('select-export-folder'),
+  
+  // 写入批量导出的文件
+  writeExportFiles: (folderPath, files) => ipcRenderer.invoke('write-export-files', folderPath, files),
+  
+  // 自动导出配置
+  getExportProfiles: (filePath) => ipcRenderer.invoke('get-export-profiles', filePath),
+  saveExportProfiles: (filePath, profiles) => ipcRenderer.invoke('save-export-profiles', filePath, profiles),
+  runExportProfiles: (filePath) => ipcRenderer.invoke('run-export-profiles', filePath),
+  getExportLogs: () => ipcRenderer.invoke('get-export-logs'),
+  onExportLog: (callback) => ipcRenderer.on('export-log', callback),
+  
   // 渲染帧
   renderFrame: (frameIndex, targetSize) => ipcRenderer.invoke('render-frame', frameIndex, targetSize),
   
@@ -17,13 +37,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 启动文件监控
   startFileWatch: (filePath) => ipcRenderer.invoke('startFileWatch', filePath),
   
-  // 停止文件监控
-  stopFileWatch: () => ipcRenderer.invoke('stopFileWatch'),
+  // 停止文件监控（传入路径时只停止该文件，否则停止全部）
+  stopFileWatch: (filePath) => ipcRenderer.invoke('stopFileWatch', filePath),
   
   // 监听文件更新事件
   onFileUpdated: (callback) => ipcRenderer.on('file-updated', callback),
   onFileUpdateError: (callback) => ipcRenderer.on('file-update-error', callback),
   onFileWatchError: (callback) => ipcRenderer.on('file-watch-error', callback),
+  onFileWatchState: (callback) => ipcRenderer.on('file-watch-state', callback),
+  onFileRenamed: (callback) => ipcRenderer.on('file-renamed', callback),
   
   // 监听强制刷新事件
   onForceRefresh: (callback) => ipcRenderer.on('force-refresh', callback),
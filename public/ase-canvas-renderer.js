@@ -4,20 +4,29 @@
  */
 
 class AseCanvasRenderer {
+    /**
+     * @param {HTMLCanvasElement|null} canvasElement - 显示用的画布；传入 null 时不创建画布，
+     *                                                只用于合成和导出（例如 Electron 主进程中的自动导出）
+     */
     constructor(canvasElement) {
         this.canvas = canvasElement;
-        this.ctx = canvasElement.getContext('2d');
-        this.inMemCanvas = document.createElement('canvas');
-        this.inMemCtx = this.inMemCanvas.getContext('2d');
+        this.ctx = canvasElement ? canvasElement.getContext('2d') : null;
+        this.inMemCanvas = canvasElement ? document.createElement('canvas') : null;
+        this.inMemCtx = this.inMemCanvas ? this.inMemCanvas.getContext('2d') : null;
         
         // 变换状态
         this.trans = { x: 0, y: 0 };
         this.scale = 1.0;
         this.scaleMultiplier = 1.1;
         
+        // 视图状态：zoom 为相对适应画布大小的缩放倍数，panX/panY 为画布像素偏移
+        // 每次绘制都会根据它重新计算变换，因此缩放和平移在切换帧、播放动画后保持不变
+        this.view = { zoom: 1, panX: 0, panY: 0 };
+        
         // 拖拽状态
         this.dragStart = null;
         this.dragged = false;
+        this.canvasListeners = null; // 已绑定到画布的事件处理函数
         
         // 文件数据
         this.aseData = null;
@@ -27,9 +36,36 @@ class AseCanvasRenderer {
         
         // 图层控制状态
         this.layerVisibility = new Map(); // 存储图层可见性状态
+        this.layerCollapsed = new Map(); // 存储图层组折叠状态
+        this.layerParentCache = null; // 图层父级索引缓存
+        this.tilesetImageCache = new Map(); // 已解码的图块集图像
+        this.celCache = new AseCelCache(); // 解码后的 Cel 图像和位图，主画布、聊天预览和导出共用
+        
+        // 切片叠加层状态
+        this.showSlices = false;
+        
+        // 标签播放状态
+        this.activeTagIndex = -1; // -1 表示播放全部帧
+        this.playbackState = null;
+        
+        // 洋葱皮设置
+        this.onionSkin = {
+            enabled: false,
+            before: 1, // 显示之前的帧数
+            after: 1, // 显示之后的帧数
+            opacity: 128, // 最近一帧的不透明度（0-255），更远的帧依次变淡
+            tint: true, // 之前的帧着红色，之后的帧着蓝色
+            position: 'behind' // 'behind' 绘制在当前帧下方，'front' 绘制在上方
+        };
         
-        this.initCanvas();
-        this.setupEventListeners();
+        // 像素检查器状态
+        this.inspectorMode = false; // 开启后点击画布不缩放
+        this.lastFrameImage = null; // 最近一次合成的帧图像（不含洋葱皮）：{ frameIndex, aseData, visibility, image }
+        
+        if (canvasElement) {
+            this.initCanvas();
+            this.setupEventListeners();
+        }
     }
     
     initCanvas() {
@@ -49,47 +85,85 @@ class AseCanvasRenderer {
         this.trackTransforms(this.ctx);
     }
     
+    /**
+     * 绑定画布的缩放和拖拽事件
+     * 多个渲染器共用同一个画布时（例如多个标签页），只有当前渲染器应绑定事件
+     */
     setupEventListeners() {
-        // 鼠标滚轮缩放
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            const delta = e.deltaY ? e.deltaY / 40 : 0;
-            if (delta) {
-                this.zoom(delta);
+        if (this.canvasListeners) return;
+        
+        this.canvasListeners = {
+            // 鼠标滚轮缩放
+            wheel: (e) => {
+                e.preventDefault();
+                const delta = e.deltaY ? e.deltaY / 40 : 0;
+                if (delta) {
+                    this.setTransPoint(e);
+                    this.zoom(-delta);
+                }
+            },
+            
+            // 鼠标拖拽
+            mousedown: (e) => {
+                this.setTransPoint(e);
+                this.dragStart = { x: this.trans.x, y: this.trans.y, panX: this.view.panX, panY: this.view.panY };
+                this.dragged = false;
+            },
+            
+            mousemove: (e) => {
+                if (this.dragStart !== null && this.dragStart !== undefined) {
+                    this.setTransPoint(e);
+                    this.dragged = true;
+                    this.view.panX = this.dragStart.panX + this.trans.x - this.dragStart.x;
+                    this.view.panY = this.dragStart.panY + this.trans.y - this.dragStart.y;
+                    this.swapDraw();
+                }
+            },
+            
+            mouseup: (e) => {
+                // 像素检查器模式下点击用于复制颜色
+                if (this.dragStart && !this.dragged && !this.inspectorMode) {
+                    this.setTransPoint(e);
+                    this.zoom(e.shiftKey ? -1 : 1);
+                }
+                this.dragStart = null;
             }
-        });
-        
-        // 鼠标拖拽
-        this.canvas.addEventListener('mousedown', (e) => {
-            this.trans.x = e.offsetX || (e.pageX - this.canvas.offsetLeft);
-            this.trans.y = e.offsetY || (e.pageY - this.canvas.offsetTop);
-            this.dragStart = this.ctx.transformedPoint(this.trans.x, this.trans.y);
-            this.dragged = false;
-        });
+        };
         
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.dragStart !== null && this.dragStart !== undefined) {
-                this.trans.x = e.offsetX || (e.pageX - this.canvas.offsetLeft);
-                this.trans.y = e.offsetY || (e.pageY - this.canvas.offsetTop);
-                this.dragged = true;
-                const pt = this.ctx.transformedPoint(this.trans.x, this.trans.y);
-                this.ctx.translate(pt.x - this.dragStart.x, pt.y - this.dragStart.y);
-                this.swapDraw();
-            }
+        Object.entries(this.canvasListeners).forEach(([type, handler]) => {
+            this.canvas.addEventListener(type, handler);
         });
+    }
+    
+    /**
+     * 解除画布事件绑定（渲染器不再显示在画布上时调用）
+     */
+    removeEventListeners() {
+        if (!this.canvasListeners) return;
         
-        this.canvas.addEventListener('mouseup', (e) => {
-            if (!this.dragged) {
-                this.zoom(e.shiftKey ? -1 : 1);
-            }
-            this.dragStart = null;
+        Object.entries(this.canvasListeners).forEach(([type, handler]) => {
+            this.canvas.removeEventListener(type, handler);
         });
+        this.canvasListeners = null;
+        this.dragStart = null;
     }
     
     /**
-     * 加载并解析 Aseprite 文件
+     * 将鼠标事件位置换算为画布像素坐标并记录到 trans
      */
-    async loadAseFile(file) {
+    setTransPoint(e) {
+        const scaleX = this.canvas.clientWidth ? this.canvas.width / this.canvas.clientWidth : 1;
+        const scaleY = this.canvas.clientHeight ? this.canvas.height / this.canvas.clientHeight : 1;
+        this.trans.x = e.offsetX * scaleX;
+        this.trans.y = e.offsetY * scaleY;
+    }
+    
+    /**
+     * 加载并解析 Aseprite 文件（页面中加载了 AseParseWorker 时在 Worker 中解析）
+     * @param {File} file - 文件
+     * @param {Object} options - 传给 AseParseWorker.parse 的 { key, onProgress }
+     */
+    async loadAseFile(file, options = {}) {
         return new Promise((resolve, reject) => {
             console.log(`📁 开始加载文件: ${file.name} (${(file.size / 1024).toFixed(1)} KB)`);
             const loadStartTime = performance.now();
@@ -101,15 +175,17 @@ class AseCanvasRenderer {
                     const loadTime = (loadEndTime - loadStartTime).toFixed(2);
                     console.log(`📖 文件读取完成，耗时: ${loadTime}ms`);
                     
-                    const aseReader = new AseReader(e.target.result, file.name);
-                    aseReader.parse();
-                    this.aseData = aseReader;
+                    const aseData = typeof aseParseWorker !== 'undefined'
+                        ? await aseParseWorker.parse(e.target.result, file.name, options)
+                        : AseReader.read(e.target.result, file.name);
+                    this.aseData = aseData;
+                    this.primeDecodedImages();
                     this.currentFrame = 0;
                     
                     console.log(`🎯 文件解析完成，开始渲染第一帧`);
                     this.renderFrame(0);
                     
-                    resolve(aseReader);
+                    resolve(aseData);
                 } catch (error) {
                     console.error(`❌ 文件解析失败:`, error);
                     reject(error);
@@ -148,6 +224,18 @@ class AseCanvasRenderer {
         this.lastRenderTime = now;
         
         const renderStartTime = performance.now();
+        this.drawFrame(frameIndex);
+        
+        const renderEndTime = performance.now();
+        const renderTime = (renderEndTime - renderStartTime).toFixed(2);
+    }
+    
+    /**
+     * 绘制指定帧（不做频率限制，供渲染和动画播放共用）
+     * @param {number} frameIndex - 帧索引
+     * @param {boolean} showOnionSkin - 是否绘制洋葱皮（动画播放时不绘制）
+     */
+    drawFrame(frameIndex, showOnionSkin = true) {
         this.currentFrame = frameIndex;
         this.clearCanvas();
         
@@ -157,38 +245,44 @@ class AseCanvasRenderer {
         this.ctx.mozImageSmoothingEnabled = false;
         this.ctx.msImageSmoothingEnabled = false;
         
-        const frame = this.aseData.frames[frameIndex];
-        const celLen = frame.cels.length;
-        
-        
         // 先应用缩放和居中变换（包含翻转逻辑）
         this.fitToContainer();
         
-        // 渲染所有可见的 Cel（只渲染启用的图层）
-        for (let i = 0; i < celLen; i++) {
-            const celData = frame.cels[i];
-            const layerIndex = celData.layerIndex;
-            
-            // 检查图层是否可见
-            if (this.isLayerVisible(layerIndex)) {
-                this.writeCel(i);
-            }
-        }
+        // 按图层混合模式合成所有可见的 Cel（只合成启用的图层）
+        this.drawComposedFrame(frameIndex, showOnionSkin);
         
         // 强制重绘，确保渲染完成
         this.ctx.save();
         this.ctx.restore();
-        
-        const renderEndTime = performance.now();
-        const renderTime = (renderEndTime - renderStartTime).toFixed(2);
     }
     
     /**
-     * 检查图层是否可见
+     * 检查图层是否可见（包含父级图层组的可见性）
+     * 图层组隐藏时，其下所有子图层都视为隐藏
      * @param {number} layerIndex - 图层索引
      * @returns {boolean} - 图层是否可见
      */
     isLayerVisible(layerIndex) {
+        if (!this.isLayerSelfVisible(layerIndex)) {
+            return false;
+        }
+        
+        let parentIndex = this.getLayerParentIndex(layerIndex);
+        while (parentIndex !== -1) {
+            if (!this.isLayerSelfVisible(parentIndex)) {
+                return false;
+            }
+            parentIndex = this.getLayerParentIndex(parentIndex);
+        }
+        return true;
+    }
+    
+    /**
+     * 检查图层自身是否可见（不考虑父级图层组）
+     * @param {number} layerIndex - 图层索引
+     * @returns {boolean} - 图层自身是否可见
+     */
+    isLayerSelfVisible(layerIndex) {
         if (!this.aseData || !this.aseData.layers || !this.aseData.layers[layerIndex]) {
             // 如果没有图层信息，默认可见
             return true;
@@ -201,34 +295,85 @@ class AseCanvasRenderer {
         
         const layer = this.aseData.layers[layerIndex];
         
-        // 检查图层标志位
-        let isVisible;
+        // 图层标志位 bit 0 表示图层是否可见
+        return (layer.flags & 0x01) !== 0;
+    }
+    
+    /**
+     * 计算所有图层的最终可见性（考虑父级图层组），绘制一帧时只计算一次
+     * @returns {Array<boolean>} - 按图层索引排列；没有图层信息的 Cel 视为可见
+     */
+    getLayerVisibilities() {
+        const layers = this.aseData && this.aseData.layers ? this.aseData.layers : [];
+        return layers.map((layer, index) => this.isLayerVisible(index));
+    }
+    
+    /**
+     * 获取图层的父级图层组索引
+     * 文件中图层按深度优先顺序排列，父级是前面最近的 layerChildLevel 小一级的图层
+     * @param {number} layerIndex - 图层索引
+     * @returns {number} - 父级图层索引，顶层图层返回 -1
+     */
+    getLayerParentIndex(layerIndex) {
+        if (!this.aseData || !this.aseData.layers) {
+            return -1;
+        }
         
-        if (typeof layer.flags === 'object' && layer.flags !== null) {
-            // flags 是对象的情况（ase-parser 库解析后的格式）
-            isVisible = layer.flags.visible === true;
-            console.log(`🔍 图层 ${layerIndex} (${layer.name}) 对象flags:`, {
-                flags: layer.flags,
-                visible: layer.flags.visible,
-                isVisible: isVisible
-            });
-        } else if (typeof layer.flags === 'number') {
-            // flags 是数字的情况（原始格式）
-            // flags 的第0位表示图层是否可见 (1 = 可见, 0 = 隐藏)
-            isVisible = (layer.flags & 0x01) === 1;
-            console.log(`🔍 图层 ${layerIndex} (${layer.name}) 数字flags:`, {
-                flags: layer.flags,
-                flagsBinary: layer.flags.toString(2),
-                bit0: layer.flags & 0x01,
-                isVisible: isVisible
+        // 图层数据变化时重建缓存
+        if (!this.layerParentCache || this.layerParentCache.layers !== this.aseData.layers) {
+            const layers = this.aseData.layers;
+            const parents = new Array(layers.length).fill(-1);
+            const stack = []; // 每个层级最近出现的图层索引
+            layers.forEach((layer, index) => {
+                const level = layer.layerChildLevel || 0;
+                stack[level] = index;
+                stack.length = level + 1;
+                parents[index] = level > 0 && stack[level - 1] !== undefined ? stack[level - 1] : -1;
             });
-        } else {
-            // 未知格式，默认可见
-            console.warn(`⚠️ 图层 ${layerIndex} flags 格式未知:`, layer.flags);
-            isVisible = true;
+            this.layerParentCache = { layers, parents };
         }
         
-        return isVisible;
+        const parentIndex = this.layerParentCache.parents[layerIndex];
+        return parentIndex === undefined ? -1 : parentIndex;
+    }
+    
+    /**
+     * 检查图层是否为图层组
+     * @param {number} layerIndex - 图层索引
+     * @returns {boolean} - 是否为图层组
+     */
+    isLayerGroup(layerIndex) {
+        const layer = this.aseData && this.aseData.layers ? this.aseData.layers[layerIndex] : null;
+        return !!layer && layer.type === 1;
+    }
+    
+    /**
+     * 检查图层组是否折叠
+     * @param {number} layerIndex - 图层索引
+     * @returns {boolean} - 是否折叠
+     */
+    isLayerCollapsed(layerIndex) {
+        if (this.layerCollapsed.has(layerIndex)) {
+            return this.layerCollapsed.get(layerIndex);
+        }
+        
+        // 默认使用文件中保存的折叠状态
+        const layer = this.aseData && this.aseData.layers ? this.aseData.layers[layerIndex] : null;
+        if (!layer) {
+            return false;
+        }
+        return (layer.flags & 0x20) !== 0;
+    }
+    
+    /**
+     * 切换图层组折叠状态
+     * @param {number} layerIndex - 图层索引
+     * @returns {boolean} - 新的折叠状态
+     */
+    toggleLayerCollapsed(layerIndex) {
+        const collapsed = !this.isLayerCollapsed(layerIndex);
+        this.layerCollapsed.set(layerIndex, collapsed);
+        return collapsed;
     }
     
     /**
@@ -252,14 +397,14 @@ class AseCanvasRenderer {
      * @returns {boolean} - 新的可见性状态
      */
     toggleLayerVisibility(layerIndex) {
-        const currentVisible = this.isLayerVisible(layerIndex);
+        const currentVisible = this.isLayerSelfVisible(layerIndex);
         const newVisible = !currentVisible;
         this.setLayerVisibility(layerIndex, newVisible);
         return newVisible;
     }
     
     /**
-     * 获取所有图层信息
+     * 获取所有图层信息（按图层树的显示顺序）
      * @returns {Array} - 图层信息数组
      */
     getAllLayers() {
@@ -267,209 +412,1001 @@ class AseCanvasRenderer {
             return [];
         }
         
-        // 倒序处理图层，使最上层图层显示在列表顶部
-        const layers = this.aseData.layers.map((layer, index) => {
-            const visible = this.isLayerVisible(index);
-            
-            return {
-                index: index,
-                name: layer.name || `图层 ${index + 1}`,
-                visible: visible,
-                flags: layer.flags,
-                type: layer.type,
-                opacity: layer.opacity,
-                blendMode: layer.blendMode
-            };
-        }).reverse(); // 倒序处理
+        const layerData = this.aseData.layers;
+        const children = layerData.map(() => []);
+        const roots = [];
+        layerData.forEach((layer, index) => {
+            const parentIndex = this.getLayerParentIndex(index);
+            (parentIndex === -1 ? roots : children[parentIndex]).push(index);
+        });
+        
+        // 同级倒序，使最上层图层显示在列表顶部；图层组显示在其子图层之上
+        const layers = [];
+        const visit = (indices, depth, inCollapsedGroup) => {
+            for (let i = indices.length - 1; i >= 0; i--) {
+                const index = indices[i];
+                const layer = layerData[index];
+                const isGroup = this.isLayerGroup(index);
+                const collapsed = isGroup && this.isLayerCollapsed(index);
+                
+                layers.push({
+                    index: index,
+                    name: layer.name || `图层 ${index + 1}`,
+                    visible: this.isLayerVisible(index),
+                    selfVisible: this.isLayerSelfVisible(index),
+                    flags: layer.flags,
+                    type: layer.type,
+                    opacity: layer.opacity,
+                    blendMode: layer.blendMode,
+                    tilesetIndex: layer.tilesetIndex,
+                    userData: layer.userData || null,
+                    depth: depth,
+                    parentIndex: this.getLayerParentIndex(index),
+                    isGroup: isGroup,
+                    collapsed: collapsed,
+                    inCollapsedGroup: inCollapsedGroup
+                });
+                
+                visit(children[index], depth + 1, inCollapsedGroup || collapsed);
+            }
+        };
+        visit(roots, 0, false);
         
         console.log('📊 最终图层列表:', layers);
         return layers;
     }
     
     /**
-     * 获取图层数量
-     * @returns {number} - 图层数量
+     * 获取所有图块集信息
+     * @returns {Array} - 图块集信息数组
+     */
+    getTilesets() {
+        if (!this.aseData || !this.aseData.tilesets) {
+            return [];
+        }
+        
+        const layers = this.aseData.layers || [];
+        return this.aseData.tilesets.map((tileset, index) => ({
+            index: index,
+            id: tileset.id,
+            name: tileset.name || `图块集 ${index}`,
+            tileCount: tileset.tileCount,
+            tileWidth: tileset.tileWidth,
+            tileHeight: tileset.tileHeight,
+            baseIndex: tileset.baseIndex ?? 1,
+            external: !!tileset.externalFile,
+            loaded: !!tileset.rawTilesetData,
+            usedBy: layers
+                .filter(layer => layer.type === 2 && layer.tilesetIndex === index)
+                .map(layer => layer.name)
+        }));
+    }
+    
+    /**
+     * 获取指定帧中带有用户数据文本的 Cel（如 "footstep"、"hit" 等帧事件）
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     * @returns {Array} - [{ layerIndex, layerName, text, color }]
+     */
+    getFrameUserData(frameIndex = this.currentFrame) {
+        const frame = this.aseData && this.aseData.frames ? this.aseData.frames[frameIndex] : null;
+        if (!frame) {
+            return [];
+        }
+        
+        const layers = this.aseData.layers || [];
+        return frame.cels
+            .filter(cel => cel.userData && cel.userData.text)
+            .sort((a, b) => a.layerIndex - b.layerIndex)
+            .map(cel => ({
+                layerIndex: cel.layerIndex,
+                layerName: layers[cel.layerIndex] ? layers[cel.layerIndex].name : `图层 ${cel.layerIndex + 1}`,
+                text: cel.userData.text,
+                color: cel.userData.color ? AseCanvasRenderer.userDataColorToCss(cel.userData.color) : null
+            }));
+    }
+    
+    /**
+     * 获取所有带有 Cel 用户数据文本的帧，用于时间轴标记
+     * @returns {Array} - [{ frameIndex, entries }]
+     */
+    getUserDataMarkers() {
+        if (!this.aseData || !this.aseData.frames) {
+            return [];
+        }
+        
+        const markers = [];
+        this.aseData.frames.forEach((frame, frameIndex) => {
+            const entries = this.getFrameUserData(frameIndex);
+            if (entries.length > 0) {
+                markers.push({ frameIndex, entries });
+            }
+        });
+        return markers;
+    }
+    
+    /**
+     * 获取时间轴的图层 × 帧网格（图层按图层树显示顺序，折叠的图层组内的图层不包含在内）
+     * @returns {Array} - [{ layer, cells }]，cells[i] 为第 i 帧的 Cel 状态：'empty' | 'normal' | 'linked'
+     */
+    getCelGrid() {
+        if (!this.aseData || !this.aseData.frames) {
+            return [];
+        }
+        
+        const frameCount = this.aseData.frames.length;
+        return this.getAllLayers()
+            .filter(layer => !layer.inCollapsedGroup)
+            .map(layer => {
+                const cells = [];
+                for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+                    const cel = this.findCel(frameIndex, layer.index);
+                    cells.push(!cel ? 'empty' : cel.celType === 1 ? 'linked' : 'normal');
+                }
+                return { layer, cells };
+            });
+    }
+    
+    /**
+     * 将用户数据颜色转换为 CSS 颜色
+     * @param {Object} color - { red, green, blue, alpha }
+     * @returns {string} - CSS rgba() 颜色
+     */
+    static userDataColorToCss(color) {
+        return `rgba(${color.red}, ${color.green}, ${color.blue}, ${(color.alpha / 255).toFixed(2)})`;
+    }
+    
+    /**
+     * 获取图层数量
+     * @returns {number} - 图层数量
+     */
+    getLayerCount() {
+        if (!this.aseData || !this.aseData.layers) {
+            return 0;
+        }
+        return this.aseData.layers.length;
+    }
+    
+    /**
+     * 显示所有图层
+     */
+    showAllLayers() {
+        if (!this.aseData || !this.aseData.layers) {
+            return;
+        }
+        
+        for (let i = 0; i < this.aseData.layers.length; i++) {
+            this.layerVisibility.set(i, true);
+        }
+        
+        console.log('🎨 显示所有图层');
+        
+        // 重新渲染当前帧
+        if (this.aseData) {
+            this.renderFrame(this.currentFrame);
+        }
+    }
+    
+    /**
+     * 隐藏所有图层
+     */
+    hideAllLayers() {
+        if (!this.aseData || !this.aseData.layers) {
+            return;
+        }
+        
+        for (let i = 0; i < this.aseData.layers.length; i++) {
+            this.layerVisibility.set(i, false);
+        }
+        
+        console.log('🎨 隐藏所有图层');
+        
+        // 重新渲染当前帧
+        if (this.aseData) {
+            this.renderFrame(this.currentFrame);
+        }
+    }
+    
+    /**
+     * 查找指定帧中某个图层的 Cel
+     * @param {number} frameIndex - 帧索引
+     * @param {number} layerIndex - 图层索引
+     * @returns {Object|null} - Cel 数据，该帧在此图层上没有 Cel 时返回 null
+     */
+    findCel(frameIndex, layerIndex) {
+        const frame = this.aseData && this.aseData.frames ? this.aseData.frames[frameIndex] : null;
+        if (!frame) {
+            return null;
+        }
+        return frame.cels.find(cel => cel.layerIndex === layerIndex) || null;
+    }
+    
+    /**
+     * 获取 Cel 数据（处理链接帧）
+     * 链接 Cel 通过 linkedFrame 指向同一图层另一帧上的 Cel
+     * @param {Object} celData - Cel 数据
+     * @returns {Object} - 带有像素数据的 Cel，位置和不透明度仍取自原 Cel
+     */
+    getCelData(celData) {
+        if (celData.celType !== 1) {
+            return celData;
+        }
+        
+        let source = celData;
+        const visited = new Set();
+        while (source && source.celType === 1) {
+            const linkedFrame = source.linkedFrame;
+            if (linkedFrame === undefined || visited.has(linkedFrame)) {
+                source = null;
+                break;
+            }
+            visited.add(linkedFrame);
+            source = this.findCel(linkedFrame, celData.layerIndex);
+        }
+        
+        if (!source) {
+            console.warn(`⚠️ 无法解析图层 ${celData.layerIndex} 的链接 Cel`);
+            return celData;
+        }
+        
+        return {
+            ...celData,
+            w: source.w,
+            h: source.h,
+            rawCelData: source.rawCelData,
+            tilemapMetadata: source.tilemapMetadata
+        };
+    }
+    
+    /**
+     * 获取解码后的图块集图像（竖条排列，第 i 个图块位于 y = i * tileHeight）
+     * @param {number} tilesetIndex - 图块集索引
+     * @returns {Object|null} - RGBA 图像，图块集不存在或缺少像素数据时返回 null
+     */
+    getTilesetImage(tilesetIndex) {
+        const tileset = this.aseData && this.aseData.tilesets ? this.aseData.tilesets[tilesetIndex] : null;
+        if (!tileset || !tileset.rawTilesetData) {
+            return null;
+        }
+        
+        // 图块集或调色板变化后重新解码
+        const cached = this.tilesetImageCache.get(tilesetIndex);
+        if (cached && cached.tileset === tileset && cached.palette === this.aseData.palette) {
+            return cached.image;
+        }
+        
+        const colorDepth = this.aseData.colorDepth || 32;
+        const image = AseCompositor.decodePixels(
+            tileset.rawTilesetData,
+            tileset.tileWidth,
+            tileset.tileHeight * tileset.tileCount,
+            colorDepth,
+            this.aseData.palette,
+            this.getTransparentIndex()
+        );
+        this.tilesetImageCache.set(tilesetIndex, { tileset, palette: this.aseData.palette, image });
+        return image;
+    }
+    
+    /**
+     * 将图块地图 Cel 展开为 RGBA 图像
+     * @param {Object} cel - 图块地图 Cel 数据
+     * @returns {Object|null} - RGBA 图像，找不到图块集时返回 null
+     */
+    decodeTilemapImage(cel) {
+        const layer = this.aseData.layers ? this.aseData.layers[cel.layerIndex] : null;
+        const tilesetIndex = layer ? layer.tilesetIndex : undefined;
+        const tileset = this.aseData.tilesets ? this.aseData.tilesets[tilesetIndex] : null;
+        const tilesetImage = this.getTilesetImage(tilesetIndex);
+        
+        if (!tileset || !tilesetImage) {
+            console.warn(`⚠️ 图层 ${cel.layerIndex} 的图块集 ${tilesetIndex} 不可用${tileset && tileset.externalFile ? '（外部图块集未加载）' : ''}`);
+            return null;
+        }
+        
+        return AseCompositor.decodeTilemap(
+            cel.rawCelData,
+            cel.w,
+            cel.h,
+            cel.tilemapMetadata,
+            tilesetImage,
+            tileset.tileWidth,
+            tileset.tileHeight,
+            tileset.flags
+        );
+    }
+    
+    /**
+     * 将 Cel 解码为 RGBA 图像
+     * @param {Object} cel - Cel 数据（链接 Cel 需先解析出像素数据）
+     * @param {Object} params - 解码参数，调用方已用 getCelCacheParams 计算时传入
+     * @returns {Object|null} - RGBA 图像，数据无效时返回 null
+     */
+    decodeCelImage(cel, params = null) {
+        // 检查数据完整性
+        if (!cel.rawCelData || cel.rawCelData.length === 0) {
+            console.warn(`⚠️ Cel 没有像素数据`);
+            return null;
+        }
+        
+        // 检查 Cel 尺寸
+        if (!cel.w || !cel.h || cel.w <= 0 || cel.h <= 0) {
+            console.warn(`⚠️ Cel 尺寸无效: ${cel.w}x${cel.h}`);
+            return null;
+        }
+        
+        // 像素数据、调色板、透明色和图块集都未变化时使用缓存（链接 Cel 共用源 Cel 的像素数据）
+        params = params || this.getCelCacheParams(cel);
+        const cached = this.celCache.getImage(cel.rawCelData, params);
+        if (cached) {
+            return cached;
+        }
+        
+        // 图块地图 Cel 的 w/h 为图块数量，需要通过图块集展开
+        const image = cel.tilemapMetadata
+            ? this.decodeTilemapImage(cel)
+            : AseCompositor.decodePixels(
+                cel.rawCelData,
+                cel.w,
+                cel.h,
+                params.colorDepth,
+                this.aseData.palette,
+                params.transparentIndex
+            );
+        
+        if (image) {
+            this.celCache.setImage(cel.rawCelData, params, image);
+        }
+        return image;
+    }
+    
+    /**
+     * 获取 Cel 的解码参数，用于在缓存中查找图像；调色板变化时先清空缓存
+     * @param {Object} cel - Cel 数据（链接 Cel 需先解析出像素数据）
+     * @returns {Object} - { w, h, colorDepth, transparentIndex, tilesetImage }
+     */
+    getCelCacheParams(cel) {
+        this.celCache.setPalette(this.aseData.palette);
+        return {
+            w: cel.w,
+            h: cel.h,
+            colorDepth: this.aseData.colorDepth || 32, // 默认32位
+            transparentIndex: this.getTransparentIndex(cel.layerIndex),
+            tilesetImage: cel.tilemapMetadata ? this.getCelTilesetImage(cel) : null
+        };
+    }
+    
+    /**
+     * 把 Worker 预先解码的图像（cel.decodedImage）放入 Cel 图像缓存
+     * 设置 aseData 后立即调用：图像按当前调色板解码，之后调色板变化时缓存会按调色板检查失效
+     */
+    primeDecodedImages() {
+        if (!this.aseData || !this.aseData.frames) {
+            return;
+        }
+        
+        this.aseData.frames.forEach(frame => frame.cels.forEach(cel => {
+            if (!cel.decodedImage) return;
+            this.celCache.setImage(cel.rawCelData, this.getCelCacheParams(cel), cel.decodedImage);
+            delete cel.decodedImage;
+        }));
+    }
+    
+    /**
+     * 获取图块地图 Cel 所在图层的图块集图像
+     * @param {Object} cel - 图块地图 Cel 数据
+     * @returns {Object|null}
+     */
+    getCelTilesetImage(cel) {
+        const layer = this.aseData.layers ? this.aseData.layers[cel.layerIndex] : null;
+        return layer ? this.getTilesetImage(layer.tilesetIndex) : null;
+    }
+    
+    /**
+     * 获取索引色模式下的透明色索引（与 Aseprite 一致，背景图层中该索引仍显示为调色板颜色）
+     * @param {number} layerIndex - 图层索引，省略时视为普通图层
+     * @returns {number} - 透明色索引，非索引色模式或背景图层返回 -1
+     */
+    getTransparentIndex(layerIndex) {
+        if (this.aseData.colorDepth !== 8) {
+            return -1;
+        }
+        const layer = layerIndex !== undefined ? this.aseData.layers[layerIndex] : null;
+        if (layer) {
+            // 图层标志位 bit 3 表示背景图层
+            if ((layer.flags & 0x08) !== 0) {
+                return -1;
+            }
+        }
+        return this.aseData.transparentIndex || 0;
+    }
+    
+    /**
+     * 检查文件头中的图层不透明度是否有效
+     * @returns {boolean} - 头部标志位 bit 0 为 1 时图层不透明度有效
+     */
+    isLayerOpacityValid() {
+        if (!this.aseData || this.aseData.flags === undefined) {
+            // 没有头部标志信息时，按有效处理
+            return true;
+        }
+        return (this.aseData.flags & 0x01) !== 0;
+    }
+    
+    /**
+     * 获取 Cel 的最终不透明度（图层不透明度 × Cel 不透明度）
+     * @param {Object} cel - Cel 数据
+     * @returns {number} - 合成时使用的不透明度（0-255）
+     */
+    getCelOpacity(cel) {
+        const layer = this.aseData.layers ? this.aseData.layers[cel.layerIndex] : null;
+        const layerOpacity = layer && this.isLayerOpacityValid() && typeof layer.opacity === 'number'
+            ? layer.opacity
+            : 255;
+        const celOpacity = typeof cel.opacity === 'number' ? cel.opacity : 255;
+        return AseCompositor.multiplyOpacity(layerOpacity, celOpacity);
+    }
+    
+    /**
+     * 写入 Cel 到帧图像（按图层混合模式合成）
+     * @param {number} numCel - Cel 在帧中的索引
+     * @param {Object} target - 合成目标图像
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     */
+    writeCel(numCel, target, frameIndex = this.currentFrame) {
+        const cel = this.getCelData(this.aseData.frames[frameIndex].cels[numCel]);
+        
+        try {
+            const image = this.decodeCelImage(cel);
+            if (!image) {
+                return;
+            }
+            
+            const layer = this.aseData.layers ? this.aseData.layers[cel.layerIndex] : null;
+            const blendMode = layer && layer.blendMode ? layer.blendMode : 0;
+            const opacity = this.getCelOpacity(cel);
+            
+            AseCompositor.compositeImage(target, image, cel.xpos, cel.ypos, blendMode, opacity);
+            
+            if (typeof window !== 'undefined' && window.DEBUG_RENDERER) {
+                console.log(`✅ Cel ${numCel} 合成完成: 位置(${cel.xpos}, ${cel.ypos}), 尺寸(${cel.w}x${cel.h}), 混合模式 ${AseCompositor.getBlendModeName(blendMode)}, 不透明度 ${opacity}`);
+            }
+        } catch (error) {
+            console.error(`❌ 渲染 Cel ${numCel} 失败:`, error);
+            console.error('Cel 数据:', {
+                w: cel.w,
+                h: cel.h,
+                xpos: cel.xpos,
+                ypos: cel.ypos,
+                dataLength: cel.rawCelData ? cel.rawCelData.length : 0,
+                colorDepth: this.aseData.colorDepth
+            });
+        }
+    }
+    
+    /**
+     * 合成指定帧的所有可见 Cel
+     * @param {number} frameIndex - 帧索引
+     * @returns {Object} - 与精灵同尺寸的 RGBA 图像
+     */
+    composeFrame(frameIndex) {
+        const target = AseCompositor.createImage(this.aseData.width, this.aseData.height);
+        const frame = this.aseData.frames[frameIndex];
+        if (!frame) {
+            return target;
+        }
+        
+        const visible = this.getLayerVisibilities();
+        for (const i of this.getCelOrder(frame)) {
+            if (visible[frame.cels[i].layerIndex] !== false) {
+                this.writeCel(i, target, frameIndex);
+            }
+        }
+        
+        return target;
+    }
+    
+    /**
+     * 获取帧中 Cel 的绘制顺序（从下往上，混合模式依赖正确的叠放顺序）
+     * 与 Aseprite 相同：按图层索引加 z 索引排序，相同时 z 索引小的在下面
+     * @param {Object} frame - 帧数据
+     * @returns {Array<number>} - Cel 索引
+     */
+    getCelOrder(frame) {
+        const zIndex = cel => cel.zIndex || 0;
+        return frame.cels
+            .map((cel, index) => index)
+            .sort((a, b) => {
+                const celA = frame.cels[a];
+                const celB = frame.cels[b];
+                return (celA.layerIndex + zIndex(celA)) - (celB.layerIndex + zIndex(celB)) || zIndex(celA) - zIndex(celB);
+            });
+    }
+    
+    /**
+     * 用缓存的位图绘制帧：所有可见 Cel 都是正常混合模式且位图已创建时直接 drawImage，不逐像素合成
+     * 其它混合模式需要按 Aseprite 的算法合成，返回 false 由调用方使用 composeFrame；
+     * 位图异步创建，帧第一次绘制时也返回 false，之后（例如动画下一次循环）即可使用
+     * @param {CanvasRenderingContext2D} ctx - 与精灵同尺寸的目标画布
+     * @param {number} frameIndex - 帧索引
+     * @returns {boolean} - 是否已绘制
+     */
+    drawCachedFrame(ctx, frameIndex) {
+        const frame = this.aseData.frames[frameIndex];
+        if (!frame) {
+            return false;
+        }
+        
+        // 每帧绘制一次（播放时每秒几十次），可见性和解码参数只计算一次
+        const visible = this.getLayerVisibilities();
+        const draws = [];
+        let ready = true;
+        for (const i of this.getCelOrder(frame)) {
+            const celData = frame.cels[i];
+            if (visible[celData.layerIndex] === false) continue;
+            
+            const layer = this.aseData.layers ? this.aseData.layers[celData.layerIndex] : null;
+            if (layer && layer.blendMode) {
+                return false;
+            }
+            
+            const cel = this.getCelData(celData);
+            const params = this.getCelCacheParams(cel);
+            if (!this.decodeCelImage(cel, params)) continue;
+            // 继续为其余 Cel 请求位图，下次绘制时全部可用
+            const bitmap = this.celCache.getBitmap(cel.rawCelData, params);
+            if (!bitmap) {
+                ready = false;
+                continue;
+            }
+            draws.push({ bitmap, x: cel.xpos, y: cel.ypos, opacity: this.getCelOpacity(cel) });
+        }
+        if (!ready) {
+            return false;
+        }
+        
+        ctx.clearRect(0, 0, this.aseData.width, this.aseData.height);
+        draws.forEach(({ bitmap, x, y, opacity }) => {
+            ctx.globalAlpha = opacity / 255;
+            ctx.drawImage(bitmap, x, y);
+        });
+        ctx.globalAlpha = 1;
+        return true;
+    }
+    
+    /**
+     * 合成指定帧中单个图层的图像（用于按图层拆分导出）
+     * @param {number} frameIndex - 帧索引
+     * @param {number} layerIndex - 图层索引
+     * @returns {Object} - 与精灵同尺寸的 RGBA 图像，图层在该帧没有 Cel 时为全透明
+     */
+    composeLayerImage(frameIndex, layerIndex) {
+        const target = AseCompositor.createImage(this.aseData.width, this.aseData.height);
+        const frame = this.aseData.frames[frameIndex];
+        const numCel = frame ? frame.cels.findIndex(cel => cel.layerIndex === layerIndex) : -1;
+        if (numCel !== -1) {
+            this.writeCel(numCel, target, frameIndex);
+        }
+        return target;
+    }
+    
+    /**
+     * 获取洋葱皮需要绘制的帧（限制在当前播放范围内，不循环）
+     * @param {number} frameIndex - 当前帧索引
+     * @returns {Array} - [{ frameIndex, opacity, tint }]，按距离从远到近排列
+     */
+    getOnionSkinFrames(frameIndex) {
+        const { before, after, opacity, tint } = this.onionSkin;
+        const { from, to } = this.getPlaybackRange();
+        const frames = [];
+        
+        const addFrames = (count, sign, tintColor) => {
+            for (let distance = count; distance >= 1; distance--) {
+                const onionFrame = frameIndex + sign * distance;
+                if (onionFrame < from || onionFrame > to) continue;
+                frames.push({
+                    frameIndex: onionFrame,
+                    // 距离越远越淡
+                    opacity: Math.round(opacity * (count - distance + 1) / count),
+                    tint: tint ? tintColor : null
+                });
+            }
+        };
+        addFrames(before, -1, [255, 0, 0]);
+        addFrames(after, 1, [0, 0, 255]);
+        
+        return frames;
+    }
+    
+    /**
+     * 合成带洋葱皮的帧图像
+     * @param {number} frameIndex - 帧索引
+     * @param {Object} current - 已合成的当前帧图像（可选）
+     * @returns {Object} - 与精灵同尺寸的 RGBA 图像
+     */
+    composeFrameWithOnionSkin(frameIndex, current = this.composeFrame(frameIndex)) {
+        const target = AseCompositor.createImage(current.width, current.height);
+        
+        const drawOnionFrames = () => {
+            for (const onion of this.getOnionSkinFrames(frameIndex)) {
+                let image = this.composeFrame(onion.frameIndex);
+                if (onion.tint) {
+                    image = AseCompositor.tintImage(image, onion.tint[0], onion.tint[1], onion.tint[2], 160);
+                }
+                AseCompositor.compositeImage(target, image, 0, 0, 0, onion.opacity);
+            }
+        };
+        
+        if (this.onionSkin.position === 'front') {
+            AseCompositor.compositeImage(target, current, 0, 0);
+            drawOnionFrames();
+        } else {
+            drawOnionFrames();
+            AseCompositor.compositeImage(target, current, 0, 0);
+        }
+        return target;
+    }
+    
+    /**
+     * 更新洋葱皮设置并重新绘制当前帧
+     * @param {Object} options - 要修改的设置项（enabled/before/after/opacity/tint/position）
+     */
+    setOnionSkin(options) {
+        Object.assign(this.onionSkin, options);
+        if (this.aseData) {
+            this.drawFrame(this.currentFrame);
+        }
+    }
+    
+    /**
+     * 合成指定帧并绘制到主画布（使用当前变换）
+     * @param {number} frameIndex - 帧索引
+     * @param {boolean} showOnionSkin - 是否绘制洋葱皮
+     */
+    drawComposedFrame(frameIndex, showOnionSkin = true) {
+        this.ctx.drawImage(this.getFrameCanvas(frameIndex, showOnionSkin), 0, 0);
+        this.drawSliceOverlay(frameIndex);
+    }
+    
+    /**
+     * 把帧绘制到与精灵同尺寸的离屏画布（主画布和聊天预览共用）
+     * 没有洋葱皮时优先用缓存的位图绘制，否则逐像素合成
+     * @param {number} frameIndex - 帧索引
+     * @param {boolean} showOnionSkin - 是否绘制洋葱皮
+     * @returns {HTMLCanvasElement} - 离屏画布，下次绘制时会被覆盖
+     */
+    getFrameCanvas(frameIndex, showOnionSkin = false) {
+        const { width, height } = this.aseData;
+        if (this.inMemCanvas.width !== width || this.inMemCanvas.height !== height) {
+            this.inMemCanvas.width = width;
+            this.inMemCanvas.height = height;
+        }
+        
+        const withOnionSkin = this.onionSkin.enabled && showOnionSkin;
+        if (!withOnionSkin && this.drawCachedFrame(this.inMemCtx, frameIndex)) {
+            // 没有合成的 RGBA 图像，像素检查器需要时由 getComposedFrame 合成一次
+            return this.inMemCanvas;
+        }
+        
+        const frameImage = this.getComposedFrame(frameIndex);
+        
+        const image = withOnionSkin ? this.composeFrameWithOnionSkin(frameIndex, frameImage) : frameImage;
+        this.inMemCtx.putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+        return this.inMemCanvas;
+    }
+    
+    /**
+     * 获取合成后的帧图像（不含洋葱皮）
+     * 帧、文件数据和图层可见性都与上次相同时直接返回上次的结果，像素检查器在鼠标移动时不会重复合成
+     * @param {number} frameIndex - 帧索引
+     * @returns {Object} - 与精灵同尺寸的 RGBA 图像，调用方不能修改
+     */
+    getComposedFrame(frameIndex) {
+        const visibility = this.getLayerVisibilityKey();
+        const cached = this.lastFrameImage;
+        if (cached && cached.frameIndex === frameIndex && cached.aseData === this.aseData && cached.visibility === visibility) {
+            return cached.image;
+        }
+        
+        const image = this.composeFrame(frameIndex);
+        this.lastFrameImage = { frameIndex, aseData: this.aseData, visibility, image };
+        return image;
+    }
+    
+    /**
+     * 各图层最终可见性组成的字符串，用于判断合成结果是否仍然有效
+     * @returns {string}
+     */
+    getLayerVisibilityKey() {
+        return this.getLayerVisibilities().map(visible => (visible ? '1' : '0')).join('');
+    }
+    
+    /**
+     * 获取切片在指定帧生效的关键帧（最后一个不晚于该帧的关键帧）
+     * @param {Object} slice - 切片数据
+     * @param {number} frameIndex - 帧索引
+     * @returns {Object|null} - 切片关键帧，该帧没有切片时返回 null
+     */
+    getSliceKey(slice, frameIndex) {
+        let current = null;
+        for (const key of slice.keys || []) {
+            if (key.frameNumber <= frameIndex && (!current || key.frameNumber >= current.frameNumber)) {
+                current = key;
+            }
+        }
+        // 尺寸为 0 的关键帧表示切片从该帧起被删除
+        if (!current || current.width === 0 || current.height === 0) {
+            return null;
+        }
+        return current;
+    }
+    
+    /**
+     * 获取指定帧上的所有切片
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     * @returns {Array} - 切片信息数组（坐标为精灵坐标）
+     */
+    getSlicesAtFrame(frameIndex = this.currentFrame) {
+        if (!this.aseData || !this.aseData.slices) {
+            return [];
+        }
+        
+        const result = [];
+        this.aseData.slices.forEach((slice, index) => {
+            const key = this.getSliceKey(slice, frameIndex);
+            if (!key) {
+                return;
+            }
+            result.push({
+                index: index,
+                name: slice.name,
+                x: key.x,
+                y: key.y,
+                width: key.width,
+                height: key.height,
+                patch: key.patch || null,
+                pivot: key.pivot || null,
+                color: slice.userData && slice.userData.color
+                    ? AseCanvasRenderer.userDataColorToCss(slice.userData.color)
+                    : null
+            });
+        });
+        return result;
+    }
+    
+    /**
+     * 设置是否在画布上显示切片
+     * @param {boolean} show - 是否显示
      */
-    getLayerCount() {
-        if (!this.aseData || !this.aseData.layers) {
-            return 0;
+    setShowSlices(show) {
+        this.showSlices = show;
+        if (this.aseData) {
+            this.forceRender(this.currentFrame);
         }
-        return this.aseData.layers.length;
     }
     
     /**
-     * 显示所有图层
+     * 在主画布上绘制切片叠加层（边框、9 宫格中心和轴心点）
+     * 在屏幕坐标中绘制，保证线宽和文字不随缩放、翻转变化
+     * @param {number} frameIndex - 帧索引
      */
-    showAllLayers() {
-        if (!this.aseData || !this.aseData.layers) {
+    drawSliceOverlay(frameIndex) {
+        if (!this.showSlices) {
             return;
         }
-        
-        for (let i = 0; i < this.aseData.layers.length; i++) {
-            this.layerVisibility.set(i, true);
+        const slices = this.getSlicesAtFrame(frameIndex);
+        if (slices.length === 0) {
+            return;
         }
         
-        console.log('🎨 显示所有图层');
+        const m = this.ctx.getTransform();
+        const toScreen = (x, y) => ({ x: m.a * x + m.c * y + m.e, y: m.b * x + m.d * y + m.f });
+        const toScreenRect = (x, y, w, h) => {
+            const p1 = toScreen(x, y);
+            const p2 = toScreen(x + w, y + h);
+            return {
+                x: Math.min(p1.x, p2.x),
+                y: Math.min(p1.y, p2.y),
+                w: Math.abs(p2.x - p1.x),
+                h: Math.abs(p2.y - p1.y)
+            };
+        };
         
-        // 重新渲染当前帧
-        if (this.aseData) {
-            this.renderFrame(this.currentFrame);
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'bottom';
+        
+        for (const slice of slices) {
+            const color = slice.color || '#0000ff'; // 未设置颜色时与 Aseprite 默认的切片颜色一致
+            const bounds = toScreenRect(slice.x, slice.y, slice.width, slice.height);
+            
+            ctx.strokeStyle = color;
+            ctx.setLineDash([]);
+            ctx.strokeRect(Math.round(bounds.x) + 0.5, Math.round(bounds.y) + 0.5, Math.round(bounds.w) - 1, Math.round(bounds.h) - 1);
+            
+            // 9 宫格中心区域
+            if (slice.patch) {
+                const center = toScreenRect(slice.x + slice.patch.x, slice.y + slice.patch.y, slice.patch.width, slice.patch.height);
+                ctx.setLineDash([4, 3]);
+                ctx.strokeRect(Math.round(center.x) + 0.5, Math.round(center.y) + 0.5, Math.round(center.w) - 1, Math.round(center.h) - 1);
+                ctx.setLineDash([]);
+            }
+            
+            // 轴心点（标记在像素中心）
+            if (slice.pivot) {
+                const p = toScreen(slice.x + slice.pivot.x + 0.5, slice.y + slice.pivot.y + 0.5);
+                ctx.beginPath();
+                ctx.moveTo(p.x - 5, p.y);
+                ctx.lineTo(p.x + 5, p.y);
+                ctx.moveTo(p.x, p.y - 5);
+                ctx.lineTo(p.x, p.y + 5);
+                ctx.stroke();
+            }
+            
+            ctx.fillStyle = color;
+            ctx.fillText(slice.name, bounds.x, bounds.y - 2);
         }
+        
+        ctx.restore();
     }
     
     /**
-     * 隐藏所有图层
+     * 生成 9 宫格切片拉伸后的预览图像
+     * @param {number} sliceIndex - 切片索引
+     * @param {number} width - 目标宽度
+     * @param {number} height - 目标高度
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     * @returns {Object|null} - RGBA 图像，切片在该帧不存在时返回 null
      */
-    hideAllLayers() {
-        if (!this.aseData || !this.aseData.layers) {
-            return;
-        }
-        
-        for (let i = 0; i < this.aseData.layers.length; i++) {
-            this.layerVisibility.set(i, false);
+    renderNineSlice(sliceIndex, width, height, frameIndex = this.currentFrame) {
+        const slice = this.aseData && this.aseData.slices ? this.aseData.slices[sliceIndex] : null;
+        const key = slice ? this.getSliceKey(slice, frameIndex) : null;
+        if (!key) {
+            return null;
         }
         
-        console.log('🎨 隐藏所有图层');
-        
-        // 重新渲染当前帧
-        if (this.aseData) {
-            this.renderFrame(this.currentFrame);
+        const frameImage = this.composeFrame(frameIndex);
+        const sliceImage = AseCompositor.cropImage(frameImage, key.x, key.y, key.width, key.height);
+        if (!key.patch) {
+            return sliceImage;
         }
+        return AseCompositor.scaleNineSlice(sliceImage, key.patch, width, height);
     }
     
     /**
-     * 获取 Cel 数据（处理链接帧）
+     * 将画布上的鼠标位置转换为精灵像素坐标（经过当前的缩放、平移和翻转变换）
+     * @param {number} offsetX - 相对画布的 X 坐标（CSS 像素）
+     * @param {number} offsetY - 相对画布的 Y 坐标（CSS 像素）
+     * @returns {{x: number, y: number}} - 精灵像素坐标
      */
-    getCelData(lFrame, numCel) {
-        let currCel = this.aseData.frames[lFrame].cels[numCel];
-        if (currCel.linkedFrame !== undefined) {
-            let nextLFrame = currCel.linkedFrame;
-            let nextCel = currCel;
-            while (nextCel.celType === 1) {
-                currCel = nextCel;
-                nextLFrame = currCel.linkedFrame;
-                nextCel = this.aseData.frames[nextLFrame].cels[numCel];
-            }
-            return { h: nextCel.h, w: nextCel.w, rawCelData: nextCel.rawCelData };
-        } else {
-            return { h: currCel.h, w: currCel.w, rawCelData: currCel.rawCelData };
-        }
+    screenToSpritePixel(offsetX, offsetY) {
+        // 画布显示尺寸与实际尺寸不同时先换算到画布像素
+        const scaleX = this.canvas.clientWidth ? this.canvas.width / this.canvas.clientWidth : 1;
+        const scaleY = this.canvas.clientHeight ? this.canvas.height / this.canvas.clientHeight : 1;
+        const pt = this.ctx.transformedPoint(offsetX * scaleX, offsetY * scaleY);
+        return { x: Math.floor(pt.x), y: Math.floor(pt.y) };
     }
     
     /**
-     * 写入 Cel 到画布
+     * 读取 Cel 在精灵坐标 (x, y) 处的像素
+     * @param {Object} cel - 已解析链接的 Cel 数据
+     * @param {number} x - 精灵 X 坐标
+     * @param {number} y - 精灵 Y 坐标
+     * @returns {Object|null} - { red, green, blue, alpha, paletteIndex }，不在 Cel 范围内时返回 null
      */
-    writeCel(numCel) {
-        const celData = this.aseData.frames[this.currentFrame].cels[numCel];
-        const cel = celData.celType !== 1 ? celData : { 
-            ...this.getCelData(celData.linkedFrame, numCel), 
-            ...celData 
-        };
-        
-        const colorDepth = this.aseData.colorDepth || 32; // 默认32位
-        
-        // 检查数据完整性
-        if (!cel.rawCelData || cel.rawCelData.length === 0) {
-            console.warn(`⚠️ Cel ${numCel} 没有像素数据`);
-            return;
+    getCelPixel(cel, x, y) {
+        const localX = x - cel.xpos;
+        const localY = y - cel.ypos;
+        
+        // 图块地图 Cel 需要先展开（使用绘制时缓存的图像，鼠标移动时不重复展开）
+        if (cel.tilemapMetadata) {
+            const image = this.decodeCelImage(cel);
+            if (!image || localX < 0 || localY < 0 || localX >= image.width || localY >= image.height) {
+                return null;
+            }
+            const i = (localY * image.width + localX) * 4;
+            return { red: image.data[i], green: image.data[i + 1], blue: image.data[i + 2], alpha: image.data[i + 3], paletteIndex: null };
         }
         
-        // 检查 Cel 尺寸
-        if (!cel.w || !cel.h || cel.w <= 0 || cel.h <= 0) {
-            console.warn(`⚠️ Cel ${numCel} 尺寸无效: ${cel.w}x${cel.h}`);
-            return;
+        if (!cel.rawCelData || localX < 0 || localY < 0 || localX >= cel.w || localY >= cel.h) {
+            return null;
         }
         
-        // 创建临时画布用于这个 Cel
-        const tempCanvas = document.createElement('canvas');
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCanvas.width = cel.w;
-        tempCanvas.height = cel.h;
-        
-        // 设置临时画布的像素完美渲染
-        tempCtx.imageSmoothingEnabled = false;
-        tempCtx.webkitImageSmoothingEnabled = false;
-        tempCtx.mozImageSmoothingEnabled = false;
-        tempCtx.msImageSmoothingEnabled = false;
+        const raw = cel.rawCelData;
+        const pixelIndex = localY * cel.w + localX;
+        const colorDepth = this.aseData.colorDepth || 32;
+        if (colorDepth === 16) {
+            const value = raw[pixelIndex * 2];
+            return { red: value, green: value, blue: value, alpha: raw[pixelIndex * 2 + 1], paletteIndex: null };
+        }
+        if (colorDepth === 8) {
+            const paletteIndex = raw[pixelIndex];
+            const colors = this.aseData.palette && this.aseData.palette.colors ? this.aseData.palette.colors : [];
+            const transparent = paletteIndex === this.getTransparentIndex(cel.layerIndex);
+            const color = (!transparent && colors[paletteIndex]) || { red: 0, green: 0, blue: 0, alpha: 0 };
+            return { red: color.red, green: color.green, blue: color.blue, alpha: color.alpha, paletteIndex };
+        }
+        const i = pixelIndex * 4;
+        return { red: raw[i], green: raw[i + 1], blue: raw[i + 2], alpha: raw[i + 3], paletteIndex: null };
+    }
+    
+    /**
+     * 检查精灵上某个像素：合成后的颜色以及各图层的贡献
+     * @param {number} x - 精灵 X 坐标
+     * @param {number} y - 精灵 Y 坐标
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     * @returns {Object|null} - 像素信息，坐标在精灵范围外时返回 null
+     */
+    inspectPixel(x, y, frameIndex = this.currentFrame) {
+        if (!this.aseData || x < 0 || y < 0 || x >= this.aseData.width || y >= this.aseData.height) {
+            return null;
+        }
+        const frame = this.aseData.frames[frameIndex];
+        if (!frame) {
+            return null;
+        }
         
-        let imageData = tempCtx.createImageData(cel.w, cel.h);
+        // 复用最近一次合成的图像，没有时合成并保存，鼠标在同一帧上移动时只合成一次
+        const image = this.getComposedFrame(frameIndex);
+        const i = (y * image.width + x) * 4;
+        const color = { red: image.data[i], green: image.data[i + 1], blue: image.data[i + 2], alpha: image.data[i + 3] };
         
-        try {
-            if (colorDepth === 32) { // sRGB - 修复像素数据复制逻辑
-                const expectedLength = cel.w * cel.h * 4; // RGBA 每像素4字节
-                const actualLength = cel.rawCelData.byteLength;
-                
-                console.log(`🎨 渲染 Cel ${numCel}: ${cel.w}x${cel.h}, 期望 ${expectedLength} 字节, 实际 ${actualLength} 字节`);
-                
-                if (actualLength >= expectedLength) {
-                    // 直接复制像素数据
-                    for (let i = 0; i < expectedLength; i++) {
-                        imageData.data[i] = cel.rawCelData[i];
-                    }
-                } else {
-                    console.warn(`⚠️ Cel ${numCel} 数据长度不足，尝试填充`);
-                    // 数据不足时，尝试填充或截断
-                    for (let i = 0; i < Math.min(expectedLength, actualLength); i++) {
-                        imageData.data[i] = cel.rawCelData[i];
-                    }
-                }
-            } else if (colorDepth === 16) { // 灰度 - 修复索引计算
-                const pixelCount = cel.w * cel.h;
-                for (let i = 0; i < pixelCount; i++) {
-                    const dataIndex = i * 2; // 每像素2字节
-                    if (dataIndex + 1 < cel.rawCelData.length) {
-                        const value = cel.rawCelData[dataIndex];
-                        const alpha = cel.rawCelData[dataIndex + 1];
-                        
-                        const pixelIndex = i * 4;
-                        imageData.data[pixelIndex] = value;     // R
-                        imageData.data[pixelIndex + 1] = value; // G
-                        imageData.data[pixelIndex + 2] = value; // B
-                        imageData.data[pixelIndex + 3] = alpha;  // A
-                    }
-                }
-            } else if (colorDepth === 8) { // 索引色 - 修复调色板访问
-                const pixelCount = cel.w * cel.h;
-                for (let i = 0; i < pixelCount; i++) {
-                    if (i < cel.rawCelData.length) {
-                        const paletteIndex = cel.rawCelData[i];
-                        const pixelIndex = i * 4;
-                        
-                        if (this.aseData.palette && this.aseData.palette.colors && this.aseData.palette.colors[paletteIndex]) {
-                            const color = this.aseData.palette.colors[paletteIndex];
-                            imageData.data[pixelIndex] = color.red;     // R
-                            imageData.data[pixelIndex + 1] = color.green; // G
-                            imageData.data[pixelIndex + 2] = color.blue;  // B
-                            imageData.data[pixelIndex + 3] = color.alpha; // A
-                        } else {
-                            // 默认透明
-                            imageData.data[pixelIndex] = 0;     // R
-                            imageData.data[pixelIndex + 1] = 0; // G
-                            imageData.data[pixelIndex + 2] = 0; // B
-                            imageData.data[pixelIndex + 3] = 0; // A
-                        }
-                    }
-                }
-            }
+        // 按绘制顺序从上到下列出在该像素上有内容的可见图层
+        const layers = [];
+        const cels = this.getCelOrder(frame).reverse().map(index => frame.cels[index]);
+        for (const celData of cels) {
+            if (!this.isLayerVisible(celData.layerIndex)) continue;
             
-            // 将像素数据放到临时画布
-            tempCtx.putImageData(imageData, 0, 0);
+            const cel = this.getCelData(celData);
+            const pixel = this.getCelPixel(cel, x, y);
+            if (!pixel || pixel.alpha === 0) continue;
             
-            // 将临时画布的内容绘制到主画布的正确位置（正常绘制）
-            this.ctx.drawImage(tempCanvas, cel.xpos, cel.ypos);
-            
-            console.log(`✅ Cel ${numCel} 渲染完成: 位置(${cel.xpos}, ${cel.ypos}), 尺寸(${cel.w}x${cel.h})`);
-        } catch (error) {
-            console.error(`❌ 渲染 Cel ${numCel} 失败:`, error);
-            console.error('Cel 数据:', {
-                w: cel.w,
-                h: cel.h,
-                xpos: cel.xpos,
-                ypos: cel.ypos,
-                dataLength: cel.rawCelData ? cel.rawCelData.length : 0,
-                colorDepth: colorDepth
+            const layer = this.aseData.layers ? this.aseData.layers[cel.layerIndex] : null;
+            layers.push({
+                layerIndex: cel.layerIndex,
+                layerName: layer ? layer.name : `图层 ${cel.layerIndex + 1}`,
+                celType: celData.celType,
+                linkedFrame: celData.celType === 1 ? celData.linkedFrame : null,
+                color: pixel,
+                hex: AseCanvasRenderer.colorToHex(pixel),
+                paletteIndex: pixel.paletteIndex,
+                opacity: this.getCelOpacity(cel),
+                blendMode: AseCompositor.getBlendModeName(layer && layer.blendMode ? layer.blendMode : 0)
             });
         }
+        
+        // 索引色模式下查找与合成颜色完全一致的调色板索引
+        let paletteIndex = null;
+        if (this.aseData.colorDepth === 8 && this.aseData.palette && this.aseData.palette.colors) {
+            const index = this.aseData.palette.colors.findIndex(c =>
+                c && c.red === color.red && c.green === color.green && c.blue === color.blue && c.alpha === color.alpha);
+            paletteIndex = index === -1 ? null : index;
+        }
+        
+        return {
+            x,
+            y,
+            frameIndex,
+            color,
+            hex: AseCanvasRenderer.colorToHex(color),
+            paletteIndex,
+            layers
+        };
+    }
+    
+    /**
+     * 将颜色转换为十六进制字符串（不透明时省略透明度）
+     * @param {Object} color - { red, green, blue, alpha }
+     * @returns {string} - "#rrggbb" 或 "#rrggbbaa"
+     */
+    static colorToHex(color) {
+        const parts = [color.red, color.green, color.blue];
+        if (color.alpha !== 255) {
+            parts.push(color.alpha);
+        }
+        return '#' + parts.map(value => value.toString(16).padStart(2, '0')).join('');
     }
     
     /**
@@ -495,11 +1432,16 @@ class AseCanvasRenderer {
      * 缩放功能
      */
     zoom(clicks) {
-        const pt = this.ctx.transformedPoint(this.trans.x, this.trans.y);
-        this.ctx.translate(pt.x, pt.y);
         const factor = Math.pow(this.scaleMultiplier, clicks);
-        this.ctx.scale(factor, factor);
-        this.ctx.translate(-pt.x, -pt.y);
+        const zoom = Math.min(64, Math.max(0.1, this.view.zoom * factor));
+        const applied = zoom / this.view.zoom;
+        
+        // 保持鼠标位置下的像素不动：图像中心到鼠标的距离按同样的倍数缩放
+        const centerX = this.canvas.width / 2 + this.view.panX;
+        const centerY = this.canvas.height / 2 + this.view.panY;
+        this.view.panX = this.trans.x - (this.trans.x - centerX) * applied - this.canvas.width / 2;
+        this.view.panY = this.trans.y - (this.trans.y - centerY) * applied - this.canvas.height / 2;
+        this.view.zoom = zoom;
         this.swapDraw();
     }
     
@@ -513,14 +1455,18 @@ class AseCanvasRenderer {
         this.ctx.mozImageSmoothingEnabled = false;
         this.ctx.msImageSmoothingEnabled = false;
         
-        this.ctx.scale(this.scale, this.scale);
-        this.renderFrame(this.currentFrame);
+        if (this.aseData) {
+            this.drawFrame(this.currentFrame);
+        }
     }
     
     /**
      * 变换跟踪功能（从 ase-web-viewer 移植）
      */
     trackTransforms(ctx) {
+        // 同一个画布上创建多个渲染器时只包装一次
+        if (ctx.transformedPoint) return;
+        
         var svg = document.createElementNS("http://www.w3.org/2000/svg", 'svg');
         var xform = svg.createSVGMatrix();
         ctx.getTransform = function() { return xform; };
@@ -598,7 +1544,7 @@ class AseCanvasRenderer {
         console.log('📊 getFileInfo - 图层列表:', layers);
         
         return {
-            name: this.aseData.name || this.aseData.filename || '未知文件',
+            name: this.aseData.name || '未知文件',
             width: this.aseData.width || 0,
             height: this.aseData.height || 0,
             numFrames: this.aseData.numFrames || (this.aseData.frames ? this.aseData.frames.length : 0),
@@ -638,7 +1584,8 @@ class AseCanvasRenderer {
     }
     
     /**
-     * 循环播放到下一帧（用于动画播放）
+     * 按当前标签的方向和重复次数播放到下一帧（用于动画播放）
+     * @returns {boolean} - 是否切换了帧，标签的重复次数播放完毕时返回 false
      */
     nextFrameLoop() {
         if (!this.aseData) return false;
@@ -646,23 +1593,337 @@ class AseCanvasRenderer {
         const frameCount = this.aseData.numFrames || (this.aseData.frames ? this.aseData.frames.length : 0);
         if (frameCount <= 0) return false;
         
-        const nextFrame = (this.currentFrame + 1) % frameCount;
-        this.renderFrame(nextFrame);
+        const step = this.stepPlayback();
+        if (step.finished) {
+            return false;
+        }
+        // 与 Aseprite 一致，播放时不显示洋葱皮
+        this.drawFrame(step.frameIndex, false);
         return true;
     }
     
+    /**
+     * 获取所有动画标签
+     * @returns {Array} - 标签数组 { from, to, animDirection, repeat, color, name }
+     */
+    getTags() {
+        return this.aseData && this.aseData.tags ? this.aseData.tags : [];
+    }
+    
+    /**
+     * 获取当前选中的标签
+     * @returns {Object|null} - 标签，未选择时返回 null
+     */
+    getActiveTag() {
+        return this.getTags()[this.activeTagIndex] || null;
+    }
+    
+    /**
+     * 获取包含指定帧的所有标签
+     * @param {number} frameIndex - 帧索引，默认为当前帧
+     * @returns {Array} - 标签数组
+     */
+    getTagsAtFrame(frameIndex = this.currentFrame) {
+        return this.getTags().filter(tag => frameIndex >= tag.from && frameIndex <= tag.to);
+    }
+    
+    /**
+     * 选择播放的标签，并跳转到该标签的起始帧
+     * @param {number} tagIndex - 标签索引，-1 表示播放全部帧
+     */
+    setActiveTag(tagIndex) {
+        this.activeTagIndex = this.getTags()[tagIndex] ? tagIndex : -1;
+        this.resetPlayback();
+        this.drawFrame(this.currentFrame);
+    }
+    
+    /**
+     * 获取当前播放范围（选中标签的帧范围，或全部帧）
+     * @returns {{from: number, to: number}}
+     */
+    getPlaybackRange() {
+        const frameCount = this.aseData.numFrames || this.aseData.frames.length;
+        const tag = this.getActiveTag();
+        if (!tag) {
+            return { from: 0, to: frameCount - 1 };
+        }
+        const to = Math.min(tag.to, frameCount - 1);
+        return { from: Math.min(tag.from, to), to };
+    }
+    
+    /**
+     * 重置播放状态，并将当前帧设为播放方向上的起始帧
+     */
+    resetPlayback() {
+        const tag = this.getActiveTag();
+        const direction = tag ? tag.animDirection : 'Forward';
+        const reverse = direction === 'Reverse' || direction === 'Ping-pong Reverse';
+        const range = this.getPlaybackRange();
+        
+        this.playbackState = {
+            direction: reverse ? -1 : 1,
+            passes: 0, // 已完成的播放遍数（乒乓模式每个方向算一遍）
+            finished: false
+        };
+        this.currentFrame = reverse ? range.to : range.from;
+    }
+    
+    /**
+     * 开始或继续播放：当前帧不在播放范围内或上次已播放完毕时从头开始
+     */
+    startPlayback() {
+        const range = this.getPlaybackRange();
+        if (!this.playbackState || this.playbackState.finished ||
+            this.currentFrame < range.from || this.currentFrame > range.to) {
+            this.resetPlayback();
+            this.drawFrame(this.currentFrame);
+        }
+    }
+    
+    /**
+     * 计算播放的下一帧（与 Aseprite 一致：乒乓模式不重复端点帧，重复次数为 0 时无限循环）
+     * @returns {{frameIndex: number, finished: boolean}}
+     */
+    stepPlayback() {
+        if (!this.playbackState) {
+            this.resetPlayback();
+        }
+        
+        const state = this.playbackState;
+        const tag = this.getActiveTag();
+        const direction = tag ? tag.animDirection : 'Forward';
+        const repeat = tag ? (tag.repeat || 0) : 0;
+        const pingPong = direction === 'Ping-pong' || direction === 'Ping-pong Reverse';
+        const { from, to } = this.getPlaybackRange();
+        const frame = this.currentFrame;
+        
+        // 当前帧不在范围内（例如手动切换过帧）时从起始帧开始
+        if (frame < from || frame > to) {
+            return { frameIndex: state.direction > 0 ? from : to, finished: false };
+        }
+        
+        let next = frame + state.direction;
+        if (next < from || next > to) {
+            state.passes++;
+            if (repeat > 0 && state.passes >= repeat) {
+                state.finished = true;
+                return { frameIndex: frame, finished: true };
+            }
+            if (pingPong && from !== to) {
+                state.direction = -state.direction;
+                next = frame + state.direction;
+            } else {
+                next = state.direction > 0 ? from : to;
+            }
+        }
+        
+        return { frameIndex: next, finished: false };
+    }
+    
     /**
      * 获取当前帧的持续时间（毫秒）
      */
     getCurrentFrameDuration() {
-        if (!this.aseData || !this.aseData.frames || !this.aseData.frames[this.currentFrame]) {
+        return this.getFrameDuration(this.currentFrame);
+    }
+    
+    /**
+     * 获取指定帧的持续时间（毫秒）
+     * @param {number} frameIndex - 帧索引
+     */
+    getFrameDuration(frameIndex) {
+        if (!this.aseData || !this.aseData.frames || !this.aseData.frames[frameIndex]) {
             return 100; // 默认100ms
         }
         
-        const frameData = this.aseData.frames[this.currentFrame];
+        const frameData = this.aseData.frames[frameIndex];
         return frameData.frameDuration || 100;
     }
     
+    /**
+     * 计算按标签方向和重复次数播放时的完整帧序列（不影响当前播放状态）
+     * @param {number} tagIndex - 标签索引，-1 表示全部帧，默认为当前选中的标签
+     * @returns {{frames: Array<number>, loop: boolean}} - 帧索引序列；loop 为 true 时序列是无限循环的一个周期
+     */
+    getPlaybackSequence(tagIndex = this.activeTagIndex) {
+        const saved = {
+            activeTagIndex: this.activeTagIndex,
+            playbackState: this.playbackState,
+            currentFrame: this.currentFrame
+        };
+        
+        try {
+            this.activeTagIndex = this.getTags()[tagIndex] ? tagIndex : -1;
+            const tag = this.getActiveTag();
+            const direction = tag ? tag.animDirection : 'Forward';
+            const repeat = tag ? (tag.repeat || 0) : 0;
+            const pingPong = direction === 'Ping-pong' || direction === 'Ping-pong Reverse';
+            const { from, to } = this.getPlaybackRange();
+            const length = to - from + 1;
+            
+            // 无限循环时只需要一个周期（乒乓模式不重复端点帧）；有重复次数时播放到结束为止
+            const cycle = pingPong && length > 1 ? (length - 1) * 2 : length;
+            const limit = repeat > 0 ? repeat * length : cycle;
+            
+            this.resetPlayback();
+            const frames = [this.currentFrame];
+            while (frames.length < limit) {
+                const step = this.stepPlayback();
+                if (step.finished) break;
+                this.currentFrame = step.frameIndex;
+                frames.push(step.frameIndex);
+            }
+            
+            return { frames, loop: repeat === 0 };
+        } finally {
+            this.activeTagIndex = saved.activeTagIndex;
+            this.playbackState = saved.playbackState;
+            this.currentFrame = saved.currentFrame;
+        }
+    }
+    
+    /**
+     * 生成导出用的帧图像（只包含可见图层，不含洋葱皮和切片叠加层）
+     * @param {Object} options - 导出选项
+     * @param {number} options.tagIndex - 标签索引，-1 表示全部帧，默认为当前选中的标签
+     * @param {number} options.scale - 整数放大倍数，默认 1
+     * @param {Object} options.background - 背景颜色 { red, green, blue }，为 null 时保留透明
+     * @returns {{frames: Array<{frameIndex: number, duration: number, image: Object}>, loop: boolean}}
+     */
+    getExportFrames(options = {}) {
+        const sequence = this.getPlaybackSequence(options.tagIndex);
+        
+        // 乒乓等方向会重复使用同一帧，每帧只合成一次
+        const images = new Map();
+        const frames = sequence.frames.map(frameIndex => {
+            if (!images.has(frameIndex)) {
+                images.set(frameIndex, this.composeExportImage(frameIndex, options));
+            }
+            return {
+                frameIndex,
+                duration: this.getFrameDuration(frameIndex),
+                image: images.get(frameIndex)
+            };
+        });
+        
+        return { frames, loop: sequence.loop };
+    }
+    
+    /**
+     * 按帧顺序生成标签范围（或全部帧）内每一帧的导出图像（用于精灵图集等不按播放方向排列的导出）
+     * @param {Object} options - 导出选项，与 getExportFrames 相同
+     * @returns {Array<{frameIndex: number, duration: number, image: Object}>}
+     */
+    getExportFramesInRange(options = {}) {
+        const { from, to } = this.getExportRange(options.tagIndex);
+        
+        const frames = [];
+        for (let frameIndex = from; frameIndex <= to; frameIndex++) {
+            frames.push({
+                frameIndex,
+                duration: this.getFrameDuration(frameIndex),
+                image: this.composeExportImage(frameIndex, options)
+            });
+        }
+        return frames;
+    }
+    
+    /**
+     * 获取导出的帧范围（标签的帧范围，或全部帧）
+     * @param {number} tagIndex - 标签索引，-1 表示全部帧
+     * @returns {{from: number, to: number}}
+     */
+    getExportRange(tagIndex) {
+        const frameCount = this.aseData.numFrames || this.aseData.frames.length;
+        const tag = this.getTags()[tagIndex];
+        const to = tag ? Math.min(tag.to, frameCount - 1) : frameCount - 1;
+        const from = tag ? Math.min(tag.from, to) : 0;
+        return { from, to };
+    }
+    
+    /**
+     * 获取可以单独导出的图层（当前可见的普通图层和图块地图图层，不含图层组）
+     * @returns {Array<number>} - 图层索引
+     */
+    getExportLayers() {
+        const layers = this.aseData.layers || [];
+        return layers
+            .map((layer, index) => index)
+            .filter(index => !this.isLayerGroup(index) && this.isLayerVisible(index));
+    }
+    
+    /**
+     * 生成批量导出的图像
+     * @param {Object} options - 导出选项（tagIndex、scale、background），以及拆分方式 mode：
+     *                           frame 每帧一张（合成所有可见图层），layer 当前帧每个可见图层一张，
+     *                           layer-frame 每个可见图层的每一帧各一张
+     * @returns {Array<{frameIndex: number, layerIndex: number|null, layerName: string, tagName: string, image: Object}>}
+     *          layerIndex 为 null 表示合成图像
+     */
+    getBatchExportImages(options = {}) {
+        const mode = options.mode || 'frame';
+        const selectedTag = this.getTags()[options.tagIndex];
+        
+        let frameIndices;
+        if (mode === 'layer') {
+            frameIndices = [this.currentFrame];
+        } else {
+            const { from, to } = this.getExportRange(options.tagIndex);
+            frameIndices = [];
+            for (let frameIndex = from; frameIndex <= to; frameIndex++) {
+                frameIndices.push(frameIndex);
+            }
+        }
+        const layerIndices = mode === 'frame' ? [null] : this.getExportLayers();
+        
+        const images = [];
+        for (const layerIndex of layerIndices) {
+            for (const frameIndex of frameIndices) {
+                // 未选择标签时使用包含该帧的第一个标签
+                const tag = selectedTag || this.getTagsAtFrame(frameIndex)[0];
+                images.push({
+                    frameIndex,
+                    layerIndex,
+                    layerName: layerIndex === null ? '' : this.aseData.layers[layerIndex].name,
+                    tagName: tag ? tag.name : '',
+                    image: this.composeExportImage(frameIndex, options, layerIndex)
+                });
+            }
+        }
+        return images;
+    }
+    
+    /**
+     * 合成单帧的导出图像（按整数倍放大，可选合成到背景色上）
+     * @param {number} frameIndex - 帧索引
+     * @param {Object} options - { scale, background }
+     * @param {number|null} layerIndex - 只导出该图层，为 null 时合成所有可见图层
+     * @returns {Object} - RGBA 图像
+     */
+    composeExportImage(frameIndex, options = {}, layerIndex = null) {
+        const scale = Math.max(1, Math.floor(options.scale || 1));
+        const composed = layerIndex === null ? this.composeFrame(frameIndex) : this.composeLayerImage(frameIndex, layerIndex);
+        let image = AseCompositor.scaleImage(composed, scale);
+        if (options.background) {
+            image = AseCompositor.flattenImage(image, options.background);
+        }
+        return image;
+    }
+    
+    /**
+     * 获取导出时使用的调色板（仅索引色模式）
+     * @returns {Object|null} - { colors, transparentIndex }，非索引色模式返回 null
+     */
+    getExportPalette() {
+        if (!this.aseData || this.aseData.colorDepth !== 8 || !this.aseData.palette || !this.aseData.palette.colors) {
+            return null;
+        }
+        return {
+            colors: this.aseData.palette.colors,
+            transparentIndex: this.getTransparentIndex()
+        };
+    }
+    
     /**
      * 检查是否有多帧（可用于动画）
      */
@@ -728,11 +1989,11 @@ class AseCanvasRenderer {
         // 计算缩放比例，使图像适应画布
         const scaleX = canvasWidth / imageWidth;
         const scaleY = canvasHeight / imageHeight;
-        const scale = Math.min(scaleX, scaleY) * 0.9; // 留一些边距
+        const scale = Math.min(scaleX, scaleY) * 0.9 * this.view.zoom; // 留一些边距，再叠加用户缩放
         
-        // 计算居中位置
-        const centerX = canvasWidth / 2;
-        const centerY = canvasHeight / 2;
+        // 计算居中位置（叠加用户平移）
+        const centerX = canvasWidth / 2 + this.view.panX;
+        const centerY = canvasHeight / 2 + this.view.panY;
         
         // 重置变换
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
@@ -755,8 +2016,6 @@ class AseCanvasRenderer {
         }
         
         // 更新变换状态
-        this.trans.x = centerX;
-        this.trans.y = centerY;
         this.scale = scale;
     }
     
@@ -768,22 +2027,12 @@ class AseCanvasRenderer {
         this.trans.x = 400;
         this.trans.y = 300;
         this.scale = 1.0;
+        this.view = { zoom: 1, panX: 0, panY: 0 };
         if (this.aseData) {
             // 直接重新渲染，避免循环调用
             this.clearCanvas();
             this.fitToContainer();
-            
-            const frame = this.aseData.frames[this.currentFrame];
-            const celLen = frame.cels.length;
-            for (let i = 0; i < celLen; i++) {
-                const celData = frame.cels[i];
-                const layerIndex = celData.layerIndex;
-                
-                // 检查图层是否可见
-                if (this.isLayerVisible(layerIndex)) {
-                    this.writeCel(i);
-                }
-            }
+            this.drawComposedFrame(this.currentFrame);
         }
     }
     
@@ -818,35 +2067,7 @@ class AseCanvasRenderer {
         }
         
         console.log(`🔄 强制渲染帧 ${frameIndex}`);
-        this.currentFrame = frameIndex;
-        this.clearCanvas();
-        
-        // 确保像素完美渲染设置
-        this.ctx.imageSmoothingEnabled = false;
-        this.ctx.webkitImageSmoothingEnabled = false;
-        this.ctx.mozImageSmoothingEnabled = false;
-        this.ctx.msImageSmoothingEnabled = false;
-        
-        const frame = this.aseData.frames[frameIndex];
-        const celLen = frame.cels.length;
-        
-        // 先应用缩放和居中变换（包含翻转逻辑）
-        this.fitToContainer();
-        
-        // 渲染所有可见的 Cel（只渲染启用的图层）
-        for (let i = 0; i < celLen; i++) {
-            const celData = frame.cels[i];
-            const layerIndex = celData.layerIndex;
-            
-            // 检查图层是否可见
-            if (this.isLayerVisible(layerIndex)) {
-                this.writeCel(i);
-            }
-        }
-        
-        // 强制重绘，确保渲染完成
-        this.ctx.save();
-        this.ctx.restore();
+        this.drawFrame(frameIndex);
         
         console.log(`✅ 强制渲染完成: 帧 ${frameIndex}`);
     }
@@ -888,44 +2109,96 @@ class AseCanvasRenderer {
         return { changed: false, reason: '文件大小未变化' };
     }
     
+    /**
+     * 按名称匹配新旧图层（同名图层按出现顺序对应）
+     * @param {Array<Object>} oldLayers - 旧图层列表
+     * @param {Array<Object>} newLayers - 新图层列表
+     * @returns {Map<number, number>} - 旧图层索引 -> 新图层索引
+     */
+    static matchLayersByName(oldLayers, newLayers) {
+        const newIndices = new Map(); // 图层名 -> 新图层索引列表
+        newLayers.forEach((layer, index) => {
+            if (!newIndices.has(layer.name)) {
+                newIndices.set(layer.name, []);
+            }
+            newIndices.get(layer.name).push(index);
+        });
+        
+        const result = new Map();
+        oldLayers.forEach((layer, index) => {
+            const indices = newIndices.get(layer.name);
+            if (indices && indices.length > 0) {
+                result.set(index, indices.shift());
+            }
+        });
+        return result;
+    }
+    
     /**
      * 更新文件数据
+     * 内容未变化的帧和 Cel 沿用旧对象，已解码的图像继续使用；缩放、平移、当前帧、播放进度、选中的标签、
+     * 翻转状态都保持不变，图层可见性和折叠状态按图层名称恢复（图层顺序可能变化）
+     * @param {Object} newAseData - 新的文件数据，可以是 AseDiff.createPatch 生成的补丁（需先用 AseDiff.canMerge 检查）
+     * @param {Object} options - { render }；render 为 false 时只合并数据不绘制（所有标签页共用一个画布，
+     *        后台标签页的渲染器不能绘制，切换到该标签页时再绘制）
      */
-    updateFileData(newAseData) {
+    updateFileData(newAseData, options = {}) {
+        const { render = true } = options;
         if (!newAseData) {
             console.warn('⚠️ 更新文件数据失败: 新数据为空');
             return;
         }
         
+        const startTime = Date.now();
+        const oldAseData = this.aseData;
+        
         console.log(`🔄 更新文件数据:`);
-        console.log(`   旧帧数: ${this.aseData?.numFrames || 0}`);
+        console.log(`   旧帧数: ${oldAseData?.numFrames || 0}`);
         console.log(`   新帧数: ${newAseData.numFrames || 0}`);
-        console.log(`   旧尺寸: ${this.aseData?.width || 0}x${this.aseData?.height || 0}`);
+        console.log(`   旧尺寸: ${oldAseData?.width || 0}x${oldAseData?.height || 0}`);
         console.log(`   新尺寸: ${newAseData.width || 0}x${newAseData.height || 0}`);
         
         // 保存当前状态
         const oldCurrentFrame = this.currentFrame;
-        const oldLayerVisibility = new Map(this.layerVisibility); // 深拷贝图层可见性状态
-        const oldIsFlipped = this.isFlipped; // 保存翻转状态
-        
-        const maxFrame = (newAseData.numFrames || newAseData.frames?.length || 1) - 1;
+        const oldActiveTag = this.getActiveTag(); // 保存选中的标签
+        const oldLayers = oldAseData && oldAseData.layers ? oldAseData.layers : [];
         
+        if (oldAseData && typeof AseDiff !== 'undefined') {
+            const { changedFrames, changedCels } = AseDiff.merge(oldAseData, newAseData);
+            console.log(`🧩 增量更新: ${changedFrames.length} 帧有变化，${changedCels} 个 Cel 需要重新解码`);
+        }
         this.aseData = newAseData;
+        this.primeDecodedImages();
+        
+        // 按名称恢复图层可见性和折叠状态
+        const layerMapping = AseCanvasRenderer.matchLayersByName(oldLayers, newAseData.layers || []);
+        const remap = (states) => {
+            const result = new Map();
+            states.forEach((value, index) => {
+                if (layerMapping.has(index)) {
+                    result.set(layerMapping.get(index), value);
+                }
+            });
+            return result;
+        };
+        this.layerVisibility = remap(this.layerVisibility);
+        this.layerCollapsed = remap(this.layerCollapsed);
         
-        // 确保当前帧索引有效
-        if (oldCurrentFrame > maxFrame) {
-            this.currentFrame = 0;
-        } else {
-            this.currentFrame = oldCurrentFrame;
+        // 按名称恢复选中的标签（标签顺序可能变化）
+        if (oldActiveTag) {
+            this.activeTagIndex = this.getTags().findIndex(tag => tag.name === oldActiveTag.name);
         }
         
-        // 恢复图层可见性状态
-        this.layerVisibility = oldLayerVisibility;
-        this.isFlipped = oldIsFlipped;
+        // 保留当前帧和播放进度，帧被删除时停在播放范围的末尾
+        const range = this.getPlaybackRange();
+        this.currentFrame = Math.max(range.from, Math.min(oldCurrentFrame, range.to));
         
-        console.log(`✅ 文件数据更新完成，重新渲染帧 ${this.currentFrame}`);
+        console.log(`✅ 文件数据更新完成（${Date.now() - startTime}ms），当前帧 ${this.currentFrame}`);
         console.log(`🎨 图层可见性状态已恢复:`, Array.from(this.layerVisibility.entries()));
-        console.log(`🔄 翻转状态已恢复: ${this.isFlipped ? '已翻转' : '正常'}`);
+        
+        if (!render) {
+            return;
+        }
         
         // 强制刷新渲染，绕过频率限制
         this.forceRender(this.currentFrame);
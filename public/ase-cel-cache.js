@@ -0,0 +1,135 @@
+/**
+ * Cel 图像缓存
+ * 按源 Cel 缓存解码后的 RGBA 图像和可直接绘制的 ImageBitmap：链接 Cel 解析到其引用的 Cel 后共用同一条缓存，
+ * 键为源 Cel 的像素数据，文件增量更新后内容未变化的 Cel 仍能命中。
+ * 主画布、聊天预览和导出通过同一个渲染器使用该缓存；调色板变化时整个缓存失效。
+ * 不依赖 DOM，没有 createImageBitmap 时（Node）只缓存 RGBA 图像
+ */
+
+class AseCelCache {
+    constructor() {
+        this.entries = new WeakMap(); // 源 Cel 的像素数据 -> { image, bitmap, bitmapPending, 解码参数 }
+        this.bitmaps = new Set(); // 已创建的位图，清空缓存时全部关闭
+        // 文件更新后被替换的 Cel 的像素数据被回收时关闭其位图，避免 bitmaps 一直持有
+        this.bitmapRegistry = typeof FinalizationRegistry === 'function'
+            ? new FinalizationRegistry(bitmap => this.closeBitmap(bitmap))
+            : null;
+        this.palette = null; // 缓存中图像使用的调色板
+    }
+
+    /**
+     * 设置当前调色板，与缓存中使用的调色板不同时清空缓存
+     * @param {Object|null} palette - 调色板
+     */
+    setPalette(palette) {
+        if (palette !== this.palette) {
+            this.clear();
+            this.palette = palette;
+        }
+    }
+
+    /**
+     * 清空缓存并关闭已创建的位图
+     */
+    clear() {
+        this.bitmaps.forEach(bitmap => bitmap.close());
+        this.bitmaps.clear();
+        this.entries = new WeakMap();
+    }
+
+    /**
+     * 查找缓存的图像
+     * @param {Uint8Array} rawCelData - 源 Cel 的像素数据
+     * @param {Object} params - 解码参数 { w, h, colorDepth, transparentIndex, tilesetImage }，都相同时才命中
+     * @returns {Object|null} - RGBA 图像
+     */
+    getImage(rawCelData, params) {
+        const entry = this.getEntry(rawCelData, params);
+        return entry ? entry.image : null;
+    }
+
+    /**
+     * 保存解码后的图像，替换同一 Cel 的旧图像
+     * @param {Uint8Array} rawCelData - 源 Cel 的像素数据
+     * @param {Object} params - 解码参数，见 getImage
+     * @param {Object} image - RGBA 图像
+     */
+    setImage(rawCelData, params, image) {
+        const old = this.entries.get(rawCelData);
+        if (old && old.bitmap) {
+            this.closeBitmap(old.bitmap);
+            if (this.bitmapRegistry) {
+                this.bitmapRegistry.unregister(old);
+            }
+        }
+        this.entries.set(rawCelData, {
+            ...params,
+            image,
+            bitmap: null,
+            bitmapPending: false
+        });
+    }
+
+    /**
+     * 获取可直接绘制的位图；还没有时开始异步创建，本次返回 null
+     * @param {Uint8Array} rawCelData - 源 Cel 的像素数据
+     * @param {Object} params - 解码参数，见 getImage
+     * @returns {ImageBitmap|null}
+     */
+    getBitmap(rawCelData, params) {
+        const entry = this.getEntry(rawCelData, params);
+        if (!entry) {
+            return null;
+        }
+        if (entry.bitmap || entry.bitmapPending || typeof createImageBitmap !== 'function') {
+            return entry.bitmap;
+        }
+
+        const { image } = entry;
+        entry.bitmapPending = true;
+        createImageBitmap(new ImageData(image.data, image.width, image.height))
+            .then(bitmap => {
+                // 创建期间缓存已被清空或图像已替换时丢弃
+                if (this.entries.get(rawCelData) !== entry) {
+                    bitmap.close();
+                    return;
+                }
+                entry.bitmap = bitmap;
+                entry.bitmapPending = false;
+                this.bitmaps.add(bitmap);
+                if (this.bitmapRegistry) {
+                    this.bitmapRegistry.register(rawCelData, bitmap, entry);
+                }
+            })
+            .catch(error => {
+                // 下次绘制时重试
+                entry.bitmapPending = false;
+                console.warn('⚠️ 创建 Cel 位图失败:', error);
+            });
+        return null;
+    }
+
+    // 关闭缓存创建的位图（已关闭的忽略）
+    closeBitmap(bitmap) {
+        if (this.bitmaps.delete(bitmap)) {
+            bitmap.close();
+        }
+    }
+
+    // 解码参数都相同的缓存项
+    getEntry(rawCelData, params) {
+        const entry = rawCelData ? this.entries.get(rawCelData) : null;
+        if (!entry || entry.w !== params.w || entry.h !== params.h || entry.colorDepth !== params.colorDepth ||
+            entry.transparentIndex !== params.transparentIndex || entry.tilesetImage !== params.tilesetImage) {
+            return null;
+        }
+        return entry;
+    }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AseCelCache;
+} else {
+    window.AseCelCache = AseCelCache;
+}
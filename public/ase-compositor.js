@@ -0,0 +1,533 @@
+/**
+ * Aseprite 图层合成器
+ * 按照 Aseprite 的 doc/blend_funcs.cpp 实现全部图层混合模式，
+ * 只操作 RGBA 像素数组，不依赖 DOM，可同时在浏览器和 Node 中使用
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    // 混合模式名称，下标与文件格式中的 blendMode 取值一致
+    const BLEND_MODE_NAMES = [
+        'Normal',
+        'Multiply',
+        'Screen',
+        'Overlay',
+        'Darken',
+        'Lighten',
+        'Color Dodge',
+        'Color Burn',
+        'Hard Light',
+        'Soft Light',
+        'Difference',
+        'Exclusion',
+        'Hue',
+        'Saturation',
+        'Color',
+        'Luminosity',
+        'Addition',
+        'Subtract',
+        'Divide'
+    ];
+
+    // 8 位定点乘法，对应 Aseprite 的 MUL_UN8
+    function mulUn8(a, b) {
+        const t = a * b + 0x80;
+        return ((t >> 8) + t) >> 8;
+    }
+
+    // 8 位定点除法，对应 Aseprite 的 DIV_UN8
+    function divUn8(a, b) {
+        return Math.floor((a * 0xff + (b >> 1)) / b);
+    }
+
+    // 可分离混合函数：b 为背景分量，s 为源分量（0-255）
+    function blendMultiply(b, s) {
+        return mulUn8(b, s);
+    }
+
+    function blendScreen(b, s) {
+        return b + s - mulUn8(b, s);
+    }
+
+    function blendHardLight(b, s) {
+        return s < 128 ? blendMultiply(b, s << 1) : blendScreen(b, (s << 1) - 255);
+    }
+
+    function blendOverlay(b, s) {
+        return blendHardLight(s, b);
+    }
+
+    function blendColorDodge(b, s) {
+        if (b === 0) return 0;
+        s = 255 - s;
+        if (b >= s) return 255;
+        return divUn8(b, s);
+    }
+
+    function blendColorBurn(b, s) {
+        if (b === 255) return 255;
+        b = 255 - b;
+        if (b >= s) return 0;
+        return 255 - divUn8(b, s);
+    }
+
+    function blendSoftLight(bb, ss) {
+        const b = bb / 255;
+        const s = ss / 255;
+        const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+        const r = s <= 0.5 ? b - (1 - 2 * s) * b * (1 - b) : b + (2 * s - 1) * (d - b);
+        return Math.floor(r * 255 + 0.5);
+    }
+
+    function blendDivide(b, s) {
+        if (b === 0) return 0;
+        if (b >= s) return 255;
+        return divUn8(b, s);
+    }
+
+    // 图块集标志位 4：图块 ID 0 为空图块；未设置时（旧格式）空图块为 0xFFFFFFFF，图块 0 是普通图块
+    const TILESET_FLAG_EMPTY_TILE_ZERO = 4;
+    const EMPTY_TILE_VALUE = 0xFFFFFFFF;
+
+    const SEPARABLE_BLEND_FUNCS = {
+        1: blendMultiply,
+        2: blendScreen,
+        3: blendOverlay,
+        4: (b, s) => Math.min(b, s),
+        5: (b, s) => Math.max(b, s),
+        6: blendColorDodge,
+        7: blendColorBurn,
+        8: blendHardLight,
+        9: blendSoftLight,
+        10: (b, s) => Math.abs(b - s),
+        11: (b, s) => b + s - 2 * mulUn8(b, s),
+        16: (b, s) => Math.min(b + s, 255),
+        17: (b, s) => Math.max(b - s, 0),
+        18: blendDivide
+    };
+
+    // 不可分离混合模式（HSL 系列）的辅助函数，分量范围 0-1
+    function lum(c) {
+        return 0.3 * c[0] + 0.59 * c[1] + 0.11 * c[2];
+    }
+
+    function sat(c) {
+        return Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]);
+    }
+
+    function clipColor(c) {
+        const l = lum(c);
+        const n = Math.min(c[0], c[1], c[2]);
+        const x = Math.max(c[0], c[1], c[2]);
+        for (let i = 0; i < 3; i++) {
+            if (n < 0) c[i] = l + (c[i] - l) * l / (l - n);
+            if (x > 1) c[i] = l + (c[i] - l) * (1 - l) / (x - l);
+        }
+        return c;
+    }
+
+    function setLum(c, l) {
+        const d = l - lum(c);
+        return clipColor([c[0] + d, c[1] + d, c[2] + d]);
+    }
+
+    function setSat(c, s) {
+        const order = [0, 1, 2].sort((i, j) => c[i] - c[j]);
+        const min = order[0], mid = order[1], max = order[2];
+        const result = [0, 0, 0];
+        if (c[max] > c[min]) {
+            result[mid] = (c[mid] - c[min]) * s / (c[max] - c[min]);
+            result[max] = s;
+        }
+        return result;
+    }
+
+    /**
+     * 计算不可分离混合模式的颜色
+     * @param {number} mode - 混合模式（12-15）
+     * @param {number[]} b - 背景颜色（0-1）
+     * @param {number[]} s - 源颜色（0-1）
+     * @returns {number[]} 混合后的颜色（0-1）
+     */
+    function blendNonSeparable(mode, b, s) {
+        switch (mode) {
+            case 12: // Hue
+                return setLum(setSat(s, sat(b)), lum(b));
+            case 13: // Saturation
+                return setLum(setSat(b, sat(s)), lum(b));
+            case 14: // Color
+                return setLum(s, lum(b));
+            case 15: // Luminosity
+                return setLum(b, lum(s));
+            default:
+                return s;
+        }
+    }
+
+    class AseCompositor {
+        /**
+         * 获取混合模式名称
+         * @param {number} blendMode - 混合模式取值
+         * @returns {string} - 混合模式名称
+         */
+        static getBlendModeName(blendMode) {
+            return BLEND_MODE_NAMES[blendMode] || `Unknown(${blendMode})`;
+        }
+
+        /**
+         * 合并两个不透明度（0-255），与 Aseprite 合成图层与 Cel 不透明度的方式一致
+         * @param {number} a - 不透明度
+         * @param {number} b - 不透明度
+         * @returns {number} - 合并后的不透明度
+         */
+        static multiplyOpacity(a, b) {
+            return mulUn8(a, b);
+        }
+
+        /**
+         * 创建一个透明的 RGBA 图像缓冲区（结构与 ImageData 相同）
+         * @param {number} width - 宽度
+         * @param {number} height - 高度
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static createImage(width, height) {
+            return {
+                width,
+                height,
+                data: new Uint8ClampedArray(width * height * 4)
+            };
+        }
+
+        /**
+         * 将 Cel 原始像素按颜色深度解码为 RGBA
+         * @param {Uint8Array} rawCelData - 解压后的像素数据
+         * @param {number} w - Cel 宽度
+         * @param {number} h - Cel 高度
+         * @param {number} colorDepth - 颜色深度（32/16/8）
+         * @param {Object} palette - 调色板（索引色模式使用）
+         * @param {number} transparentIndex - 透明色索引（索引色模式使用，-1 表示没有透明色，例如背景图层）
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static decodePixels(rawCelData, w, h, colorDepth, palette, transparentIndex = -1) {
+            const image = AseCompositor.createImage(w, h);
+            const data = image.data;
+            const pixelCount = w * h;
+
+            if (colorDepth === 32) { // RGBA
+                const copyLength = Math.min(pixelCount * 4, rawCelData.length);
+                if (copyLength < pixelCount * 4) {
+                    console.warn(`⚠️ Cel 数据长度不足: 期望 ${pixelCount * 4} 字节, 实际 ${rawCelData.length} 字节`);
+                }
+                data.set(rawCelData.subarray(0, copyLength));
+            } else if (colorDepth === 16) { // 灰度，每像素2字节（值 + 透明度）
+                for (let i = 0; i < pixelCount && i * 2 + 1 < rawCelData.length; i++) {
+                    const value = rawCelData[i * 2];
+                    data[i * 4] = value;
+                    data[i * 4 + 1] = value;
+                    data[i * 4 + 2] = value;
+                    data[i * 4 + 3] = rawCelData[i * 2 + 1];
+                }
+            } else if (colorDepth === 8) { // 索引色
+                const colors = palette && palette.colors ? palette.colors : [];
+                for (let i = 0; i < pixelCount && i < rawCelData.length; i++) {
+                    if (rawCelData[i] === transparentIndex) continue;
+                    const color = colors[rawCelData[i]];
+                    if (color) {
+                        data[i * 4] = color.red;
+                        data[i * 4 + 1] = color.green;
+                        data[i * 4 + 2] = color.blue;
+                        data[i * 4 + 3] = color.alpha;
+                    }
+                }
+            }
+
+            return image;
+        }
+
+        /**
+         * 将图块地图 Cel 展开为 RGBA 图像
+         * @param {Uint8Array} rawCelData - 解压后的图块数据（每个图块 bitsPerTile 位）
+         * @param {number} w - 横向图块数量
+         * @param {number} h - 纵向图块数量
+         * @param {Object} tilemapMetadata - 图块位宽与各标志位掩码
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} tilesetImage - 图块集竖条图像
+         * @param {number} tileWidth - 图块宽度
+         * @param {number} tileHeight - 图块高度
+         * @param {number} tilesetFlags - 图块集标志，决定图块 0 是否为空图块
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static decodeTilemap(rawCelData, w, h, tilemapMetadata, tilesetImage, tileWidth, tileHeight, tilesetFlags) {
+            const image = AseCompositor.createImage(w * tileWidth, h * tileHeight);
+            const bytesPerTile = (tilemapMetadata.bitsPerTile || 32) >> 3;
+            const idMask = tilemapMetadata.bitmaskForTileId >>> 0;
+            const xFlipMask = tilemapMetadata.bitmaskForXFlip >>> 0;
+            const yFlipMask = tilemapMetadata.bitmaskForYFlip >>> 0;
+            const diagonalMask = tilemapMetadata.bitmaskFor90CWRotation >>> 0;
+            const tileCount = Math.floor(tilesetImage.height / tileHeight);
+            const emptyTileZero = (tilesetFlags & TILESET_FLAG_EMPTY_TILE_ZERO) !== 0;
+
+            for (let i = 0; i < w * h; i++) {
+                const offset = i * bytesPerTile;
+                if (offset + bytesPerTile > rawCelData.length) break;
+
+                let value = 0;
+                for (let b = bytesPerTile - 1; b >= 0; b--) {
+                    value = value * 256 + rawCelData[offset + b];
+                }
+
+                if (value === EMPTY_TILE_VALUE) continue;
+                const tileId = (value & idMask) >>> 0;
+                if ((emptyTileZero && tileId === 0) || tileId >= tileCount) continue;
+
+                const xFlip = (value & xFlipMask) !== 0;
+                const yFlip = (value & yFlipMask) !== 0;
+                const diagonal = (value & diagonalMask) !== 0;
+                const originX = (i % w) * tileWidth;
+                const originY = Math.floor(i / w) * tileHeight;
+
+                for (let ty = 0; ty < tileHeight; ty++) {
+                    for (let tx = 0; tx < tileWidth; tx++) {
+                        // 对角线翻转先交换坐标，再应用水平/垂直翻转
+                        let sx = diagonal ? ty : tx;
+                        let sy = diagonal ? tx : ty;
+                        if (xFlip) sx = tileWidth - 1 - sx;
+                        if (yFlip) sy = tileHeight - 1 - sy;
+                        if (sx >= tileWidth || sy >= tileHeight) continue;
+
+                        const si = ((tileId * tileHeight + sy) * tilesetImage.width + sx) * 4;
+                        const di = ((originY + ty) * image.width + originX + tx) * 4;
+                        image.data[di] = tilesetImage.data[si];
+                        image.data[di + 1] = tilesetImage.data[si + 1];
+                        image.data[di + 2] = tilesetImage.data[si + 2];
+                        image.data[di + 3] = tilesetImage.data[si + 3];
+                    }
+                }
+            }
+
+            return image;
+        }
+
+        /**
+         * 将图像颜色向指定颜色混合（用于洋葱皮的红/蓝着色），返回新图像
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 源图像
+         * @param {number} r - 着色颜色 R
+         * @param {number} g - 着色颜色 G
+         * @param {number} b - 着色颜色 B
+         * @param {number} amount - 着色强度（0-255）
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static tintImage(image, r, g, b, amount) {
+            const result = AseCompositor.createImage(image.width, image.height);
+            const src = image.data;
+            const dst = result.data;
+            for (let i = 0; i < src.length; i += 4) {
+                dst[i] = src[i] + mulUn8(r - src[i], amount);
+                dst[i + 1] = src[i + 1] + mulUn8(g - src[i + 1], amount);
+                dst[i + 2] = src[i + 2] + mulUn8(b - src[i + 2], amount);
+                dst[i + 3] = src[i + 3];
+            }
+            return result;
+        }
+
+        /**
+         * 裁切图像的指定区域，超出范围的部分保持透明
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 源图像
+         * @param {number} x - 区域 X 坐标
+         * @param {number} y - 区域 Y 坐标
+         * @param {number} w - 区域宽度
+         * @param {number} h - 区域高度
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static cropImage(image, x, y, w, h) {
+            const result = AseCompositor.createImage(w, h);
+            for (let ry = 0; ry < h; ry++) {
+                const sy = y + ry;
+                if (sy < 0 || sy >= image.height) continue;
+                for (let rx = 0; rx < w; rx++) {
+                    const sx = x + rx;
+                    if (sx < 0 || sx >= image.width) continue;
+                    const si = (sy * image.width + sx) * 4;
+                    const di = (ry * w + rx) * 4;
+                    result.data[di] = image.data[si];
+                    result.data[di + 1] = image.data[si + 1];
+                    result.data[di + 2] = image.data[si + 2];
+                    result.data[di + 3] = image.data[si + 3];
+                }
+            }
+            return result;
+        }
+
+        /**
+         * 按 9 宫格方式缩放图像：四角保持原尺寸，边缘和中心区域最近邻拉伸
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 切片图像
+         * @param {{x: number, y: number, width: number, height: number}} center - 中心区域（相对于切片左上角）
+         * @param {number} width - 目标宽度
+         * @param {number} height - 目标高度
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static scaleNineSlice(image, center, width, height) {
+            const result = AseCompositor.createImage(width, height);
+
+            // 将目标坐标映射回源坐标（分左/中/右三段）
+            const mapAxis = (t, size, start, length, target) => {
+                const tail = size - start - length;
+                const stretched = target - start - tail;
+                if (stretched <= 0) {
+                    // 目标尺寸小于两侧边框之和时按比例压缩
+                    return Math.min(size - 1, Math.floor(t * size / target));
+                }
+                if (t < start) return t;
+                if (t >= target - tail) return t - (target - size);
+                return start + Math.min(length - 1, Math.floor((t - start) * length / stretched));
+            };
+
+            for (let ty = 0; ty < height; ty++) {
+                const sy = mapAxis(ty, image.height, center.y, center.height, height);
+                for (let tx = 0; tx < width; tx++) {
+                    const sx = mapAxis(tx, image.width, center.x, center.width, width);
+                    const si = (sy * image.width + sx) * 4;
+                    const di = (ty * width + tx) * 4;
+                    result.data[di] = image.data[si];
+                    result.data[di + 1] = image.data[si + 1];
+                    result.data[di + 2] = image.data[si + 2];
+                    result.data[di + 3] = image.data[si + 3];
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * 按整数倍最近邻放大图像（用于导出）
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 源图像
+         * @param {number} scale - 放大倍数（正整数）
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static scaleImage(image, scale) {
+            if (scale === 1) return image;
+
+            const width = image.width * scale;
+            const height = image.height * scale;
+            const result = AseCompositor.createImage(width, height);
+            const src = new Uint32Array(image.data.buffer, image.data.byteOffset, image.width * image.height);
+            const dst = new Uint32Array(result.data.buffer, result.data.byteOffset, width * height);
+            for (let y = 0; y < height; y++) {
+                const srcRow = Math.floor(y / scale) * image.width;
+                const dstRow = y * width;
+                for (let x = 0; x < width; x++) {
+                    dst[dstRow + x] = src[srcRow + Math.floor(x / scale)];
+                }
+            }
+            return result;
+        }
+
+        /**
+         * 将图像合成到纯色背景上，返回完全不透明的新图像
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 源图像
+         * @param {{red: number, green: number, blue: number}} color - 背景颜色
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        static flattenImage(image, color) {
+            const result = AseCompositor.createImage(image.width, image.height);
+            const src = image.data;
+            const dst = result.data;
+            for (let i = 0; i < src.length; i += 4) {
+                const a = src[i + 3];
+                dst[i] = color.red + mulUn8(src[i] - color.red, a);
+                dst[i + 1] = color.green + mulUn8(src[i + 1] - color.green, a);
+                dst[i + 2] = color.blue + mulUn8(src[i + 2] - color.blue, a);
+                dst[i + 3] = 255;
+            }
+            return result;
+        }
+
+        /**
+         * 按混合模式混合单个像素，结果写回 dst
+         * @param {Uint8ClampedArray} dst - 目标缓冲区
+         * @param {number} di - 目标像素起始下标
+         * @param {Uint8ClampedArray|Uint8Array} src - 源缓冲区
+         * @param {number} si - 源像素起始下标
+         * @param {number} blendMode - 混合模式
+         * @param {number} opacity - 不透明度（0-255）
+         */
+        static blendPixel(dst, di, src, si, blendMode, opacity) {
+            const sa = mulUn8(src[si + 3], opacity);
+            if (sa === 0) return;
+
+            const ba = dst[di + 3];
+            let sr = src[si], sg = src[si + 1], sb = src[si + 2];
+
+            // 背景完全透明时，所有混合模式都等同于 Normal
+            if (ba === 0) {
+                dst[di] = sr;
+                dst[di + 1] = sg;
+                dst[di + 2] = sb;
+                dst[di + 3] = sa;
+                return;
+            }
+
+            const br = dst[di], bg = dst[di + 1], bb = dst[di + 2];
+
+            if (blendMode !== 0) {
+                const func = SEPARABLE_BLEND_FUNCS[blendMode];
+                if (func) {
+                    sr = func(br, sr);
+                    sg = func(bg, sg);
+                    sb = func(bb, sb);
+                } else if (blendMode >= 12 && blendMode <= 15) {
+                    const c = blendNonSeparable(
+                        blendMode,
+                        [br / 255, bg / 255, bb / 255],
+                        [sr / 255, sg / 255, sb / 255]
+                    );
+                    sr = Math.floor(c[0] * 255 + 0.5);
+                    sg = Math.floor(c[1] * 255 + 0.5);
+                    sb = Math.floor(c[2] * 255 + 0.5);
+                }
+            }
+
+            // 以混合后的颜色做 Normal 合成（与 rgba_blender_normal 一致）
+            const ra = sa + ba - mulUn8(ba, sa);
+            dst[di] = br + Math.trunc((sr - br) * sa / ra);
+            dst[di + 1] = bg + Math.trunc((sg - bg) * sa / ra);
+            dst[di + 2] = bb + Math.trunc((sb - bb) * sa / ra);
+            dst[di + 3] = ra;
+        }
+
+        /**
+         * 将图像合成到目标图像的指定位置
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} target - 目标图像
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 源图像
+         * @param {number} x - 源图像在目标中的 X 位置
+         * @param {number} y - 源图像在目标中的 Y 位置
+         * @param {number} blendMode - 混合模式
+         * @param {number} opacity - 不透明度（0-255）
+         */
+        static compositeImage(target, image, x, y, blendMode = 0, opacity = 255) {
+            if (opacity <= 0) return;
+
+            // 只处理与目标相交的区域
+            const startX = Math.max(0, x);
+            const startY = Math.max(0, y);
+            const endX = Math.min(target.width, x + image.width);
+            const endY = Math.min(target.height, y + image.height);
+
+            for (let ty = startY; ty < endY; ty++) {
+                let di = (ty * target.width + startX) * 4;
+                let si = ((ty - y) * image.width + (startX - x)) * 4;
+                for (let tx = startX; tx < endX; tx++, di += 4, si += 4) {
+                    AseCompositor.blendPixel(target.data, di, image.data, si, blendMode, opacity);
+                }
+            }
+        }
+    }
+
+    AseCompositor.BLEND_MODE_NAMES = BLEND_MODE_NAMES;
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AseCompositor;
+    } else {
+        window.AseCompositor = AseCompositor;
+    }
+})();
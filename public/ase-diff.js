@@ -0,0 +1,204 @@
+/**
+ * Aseprite 文件增量更新
+ * 为每一帧和每个 Cel 计算内容哈希，文件重新解析后把内容未变化的帧、Cel、调色板和图块集换回旧对象，
+ * 渲染器按对象缓存的解码结果因此可以继续使用，只有变化的 Cel 需要重新解码。
+ *
+ * Electron 主进程可以用 createPatch 把渲染进程已有的帧替换为 { unchangedFrame: 哈希 } 占位，减少 IPC 传输的数据；
+ * 渲染进程用 merge 从旧数据中找回这些帧。不依赖 DOM，可同时在浏览器和 Node 中使用
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    // 哈希时跳过的字段：哈希本身、单独计算哈希的 Cel 列表，以及 Worker 预先解码的图像
+    const SKIPPED_KEYS = ['frameHashes', 'celHashes', 'incremental', 'cels', 'decodedImage'];
+
+    // 两个不同种子的 FNV-1a 组成 64 位哈希，降低几百帧文件中出现碰撞的可能
+    function createHasher() {
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
+        return {
+            byte(b) {
+                h1 = Math.imul(h1 ^ b, 0x01000193);
+                h2 = Math.imul(h2 ^ b, 0x0100019d);
+            },
+            string(s) {
+                for (let i = 0; i < s.length; i++) {
+                    const c = s.charCodeAt(i);
+                    this.byte(c & 0xff);
+                    this.byte(c >>> 8);
+                }
+                this.byte(0);
+            },
+            digest() {
+                return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+            }
+        };
+    }
+
+    // 按值写入哈希：字节数组直接按字节，对象按排序后的键，结果与对象创建顺序和 IPC 传输无关
+    function writeValue(hasher, value) {
+        if (value === null || value === undefined) {
+            hasher.string(String(value));
+        } else if (ArrayBuffer.isView(value)) {
+            const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+            hasher.string(`bytes:${bytes.length}`);
+            for (let i = 0; i < bytes.length; i++) {
+                hasher.byte(bytes[i]);
+            }
+        } else if (Array.isArray(value)) {
+            hasher.string(`array:${value.length}`);
+            value.forEach(item => writeValue(hasher, item));
+        } else if (typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => !SKIPPED_KEYS.includes(key) && typeof value[key] !== 'function').sort();
+            hasher.string(`object:${keys.length}`);
+            keys.forEach(key => {
+                hasher.string(key);
+                writeValue(hasher, value[key]);
+            });
+        } else {
+            hasher.string(`${typeof value}:${value}`);
+        }
+    }
+
+    class AseDiff {
+        /**
+         * 计算任意值的内容哈希
+         * @param {*} value - 数字、字符串、数组、对象或字节数组
+         * @returns {string} - 16 位十六进制哈希
+         */
+        static hashValue(value) {
+            const hasher = createHasher();
+            writeValue(hasher, value);
+            return hasher.digest();
+        }
+
+        /**
+         * 计算帧的哈希（帧属性加上各 Cel 的哈希）
+         * @param {Object} frame - 帧数据
+         * @param {Array<string>} celHashes - 该帧各 Cel 的哈希
+         * @returns {string}
+         */
+        static hashFrame(frame, celHashes) {
+            const hasher = createHasher();
+            writeValue(hasher, frame);
+            writeValue(hasher, celHashes);
+            return hasher.digest();
+        }
+
+        /**
+         * 为文件数据计算并附加帧和 Cel 的哈希（frameHashes、celHashes），已有哈希时直接返回
+         * @param {Object} aseData - 解析后的文件数据
+         * @returns {Object} - 同一个 aseData
+         */
+        static attachHashes(aseData) {
+            if (aseData.frameHashes && aseData.celHashes) {
+                return aseData;
+            }
+
+            aseData.celHashes = aseData.frames.map(frame => frame.cels.map(cel => AseDiff.hashValue(cel)));
+            aseData.frameHashes = aseData.frames.map((frame, index) => AseDiff.hashFrame(frame, aseData.celHashes[index]));
+            return aseData;
+        }
+
+        /**
+         * 把接收方已有的帧替换为占位，只保留变化的帧
+         * @param {Object} aseData - 新解析的文件数据
+         * @param {Array<string>} previousFrameHashes - 接收方已有数据的帧哈希
+         * @returns {Object} - 补丁数据，incremental 为 true，其余字段与 aseData 相同
+         */
+        static createPatch(aseData, previousFrameHashes) {
+            AseDiff.attachHashes(aseData);
+            const known = new Set(previousFrameHashes);
+            return {
+                ...aseData,
+                incremental: true,
+                frames: aseData.frames.map((frame, index) => {
+                    const hash = aseData.frameHashes[index];
+                    return known.has(hash) ? { unchangedFrame: hash } : frame;
+                })
+            };
+        }
+
+        /**
+         * 检查补丁中的占位帧是否都能在旧数据中找到
+         * @param {Object|null} oldData - 渲染器当前的文件数据
+         * @param {Object} newData - 完整数据或补丁
+         * @returns {boolean}
+         */
+        static canMerge(oldData, newData) {
+            if (!newData.incremental) {
+                return true;
+            }
+            if (!oldData || !oldData.frames) {
+                return false;
+            }
+
+            const known = new Set(AseDiff.attachHashes(oldData).frameHashes);
+            return newData.frames.every(frame => !frame.unchangedFrame || known.has(frame.unchangedFrame));
+        }
+
+        /**
+         * 把新数据中内容未变化的帧、Cel、调色板和图块集换回旧对象（直接修改 newData）
+         * @param {Object} oldData - 渲染器当前的文件数据
+         * @param {Object} newData - 完整数据或补丁，补丁需先用 canMerge 检查
+         * @returns {{data: Object, changedFrames: Array<number>, changedCels: number}} - data 为合并后的 newData，
+         *          changedFrames 为内容变化的帧索引，changedCels 为需要重新解码的 Cel 数量
+         */
+        static merge(oldData, newData) {
+            AseDiff.attachHashes(oldData);
+            AseDiff.attachHashes(newData);
+
+            const oldFrames = new Map();
+            const oldCels = new Map();
+            oldData.frames.forEach((frame, frameIndex) => {
+                oldFrames.set(oldData.frameHashes[frameIndex], frame);
+                frame.cels.forEach((cel, celIndex) => oldCels.set(oldData.celHashes[frameIndex][celIndex], cel));
+            });
+
+            const changedFrames = [];
+            let changedCels = 0;
+            newData.frames = newData.frames.map((frame, frameIndex) => {
+                const oldFrame = oldFrames.get(newData.frameHashes[frameIndex]);
+                if (oldFrame) {
+                    return oldFrame;
+                }
+                if (frame.unchangedFrame) {
+                    throw new Error(`旧数据中找不到帧 ${frameIndex}`);
+                }
+
+                changedFrames.push(frameIndex);
+                return {
+                    ...frame,
+                    cels: frame.cels.map((cel, celIndex) => {
+                        const oldCel = oldCels.get(newData.celHashes[frameIndex][celIndex]);
+                        if (!oldCel) {
+                            changedCels++;
+                        }
+                        return oldCel || cel;
+                    })
+                };
+            });
+            delete newData.incremental;
+
+            // 调色板或图块集变化后，使用它们的 Cel 都需要重新解码
+            if (AseDiff.hashValue(oldData.palette) === AseDiff.hashValue(newData.palette)) {
+                newData.palette = oldData.palette;
+            }
+            if (newData.tilesets && oldData.tilesets) {
+                newData.tilesets = newData.tilesets.map((tileset, index) => {
+                    const oldTileset = oldData.tilesets[index];
+                    return oldTileset && AseDiff.hashValue(oldTileset) === AseDiff.hashValue(tileset) ? oldTileset : tileset;
+                });
+            }
+
+            return { data: newData, changedFrames, changedCels };
+        }
+    }
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AseDiff;
+    } else {
+        window.AseDiff = AseDiff;
+    }
+})();
@@ -0,0 +1,253 @@
+/**
+ * 后台解析 Aseprite 文件
+ * 同一个文件既是 Worker 脚本，也是页面中使用的 AseParseWorker：
+ *   Worker 中用 AseReader 解析文件，计算 AseDiff 的帧和 Cel 哈希，并把普通 Cel 解码为 RGBA 图像（图块地图和链接 Cel 仍由渲染器解码），
+ *   页面已有的 Cel（哈希在 knownCelHashes 中）不解码，合并时沿用旧对象和它缓存的图像；
+ *   Cel 像素数据和解码结果作为 transferable 传回页面，不需要复制
+ *   页面中每个解析任务使用一个 Worker，同一 key 的新任务会终止旧任务的 Worker，
+ *   文件连续保存时只解析最新的内容
+ * 不支持 Worker 时（例如 file:// 页面中 Worker 脚本加载失败）在主线程中解析
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    const isWorkerScope = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+
+    // 进度按百分比变化发送，避免几千帧的文件产生大量消息
+    function createProgressReporter(onProgress) {
+        let lastPercent = -1;
+        return (stage, loaded, total) => {
+            const percent = total > 0 ? Math.floor(loaded * 100 / total) : 100;
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress({ stage, loaded, total, percent });
+            }
+        };
+    }
+
+    // 与 AseCanvasRenderer.getTransparentIndex 一致：背景图层中透明色索引仍显示为调色板颜色
+    function getTransparentIndex(aseData, layerIndex) {
+        if (aseData.colorDepth !== 8) {
+            return -1;
+        }
+        const layer = aseData.layers[layerIndex];
+        return layer && (layer.flags & 0x08) !== 0 ? -1 : aseData.transparentIndex || 0;
+    }
+
+    // 解码页面还没有的普通 Cel，结果保存在 cel.decodedImage 中，由渲染器的 primeDecodedImages 取用
+    // （需先用 AseDiff.attachHashes 计算 Cel 哈希；knownCelHashes 为页面已有数据的 Cel 哈希）
+    function decodeCels(aseData, report, knownCelHashes) {
+        const known = new Set(knownCelHashes || []);
+        const cels = [];
+        aseData.frames.forEach((frame, frameIndex) => frame.cels.forEach((cel, celIndex) => {
+            if (known.has(aseData.celHashes[frameIndex][celIndex])) return;
+            if (cel.rawCelData && cel.rawCelData.length > 0 && cel.w > 0 && cel.h > 0 && !cel.tilemapMetadata) {
+                cels.push(cel);
+            }
+        }));
+
+        cels.forEach((cel, index) => {
+            cel.decodedImage = AseCompositor.decodePixels(
+                cel.rawCelData,
+                cel.w,
+                cel.h,
+                aseData.colorDepth || 32,
+                aseData.palette,
+                getTransparentIndex(aseData, cel.layerIndex)
+            );
+            report('decode', index + 1, cels.length);
+        });
+    }
+
+    // 收集文档中可转移的像素缓冲区（同一个缓冲区只能列出一次）
+    function collectTransferables(aseData) {
+        const buffers = new Set();
+        const add = array => {
+            if (array && array.buffer instanceof ArrayBuffer) {
+                buffers.add(array.buffer);
+            }
+        };
+        aseData.frames.forEach(frame => frame.cels.forEach(cel => {
+            add(cel.rawCelData);
+            add(cel.decodedImage && cel.decodedImage.data);
+        }));
+        aseData.tilesets.forEach(tileset => add(tileset.rawTilesetData));
+        return [...buffers];
+    }
+
+    // Worker 中：public 目录下的模块通过 window 导出
+    if (isWorkerScope) {
+        self.window = self;
+        importScripts('pako.min.js', 'ase-reader.js', 'ase-compositor.js', 'ase-diff.js');
+
+        self.onmessage = (e) => {
+            const { id, buffer, name, decodePixels, knownCelHashes } = e.data;
+            const report = createProgressReporter(progress => self.postMessage({ type: 'progress', id, progress }));
+            try {
+                const aseData = AseReader.read(buffer, name, (loaded, total) => report('parse', loaded, total));
+                // 增量更新需要的帧和 Cel 哈希也在 Worker 中计算，页面合并时不再逐个 Cel 计算
+                AseDiff.attachHashes(aseData);
+                if (decodePixels) {
+                    decodeCels(aseData, report, knownCelHashes);
+                }
+                self.postMessage({ type: 'done', id, data: aseData }, collectTransferables(aseData));
+            } catch (error) {
+                self.postMessage({ type: 'error', id, error: error.message, details: error.details || null });
+            }
+        };
+        return;
+    }
+
+    class AseParseWorker {
+        constructor(options = {}) {
+            this.options = {
+                scriptUrl: 'ase-parse-worker.js',
+                decodePixels: true, // 在 Worker 中预先解码普通 Cel
+                ...options
+            };
+
+            this.tasks = new Map(); // 任务 ID -> 进行中的任务
+            this.nextTaskId = 1;
+            this.idleWorker = null; // 上一个任务完成后留下的 Worker，下一个任务直接使用
+            this.workerFailed = typeof Worker !== 'function';
+        }
+
+        /**
+         * 解析文件
+         * @param {ArrayBuffer} arrayBuffer - 文件内容（会复制给 Worker，调用方仍可使用）
+         * @param {string} name - 文件名
+         * @param {Object} options - { key, onProgress, knownCelHashes }；key 相同的新任务会取消旧任务，
+         *        onProgress 收到 { stage: 'parse' | 'decode', loaded, total, percent }，
+         *        knownCelHashes 为页面已有数据的 Cel 哈希（文件更新时传入），这些 Cel 不再解码
+         * @returns {Promise<Object>} - AseReader 文档模型；被取消时以 cancelled 为 true 的错误拒绝
+         */
+        parse(arrayBuffer, name, options = {}) {
+            const { key = null, onProgress = null, knownCelHashes = null } = options;
+            if (key !== null) {
+                this.cancel(key);
+            }
+
+            if (this.workerFailed) {
+                return this.parseOnMainThread(arrayBuffer, name, onProgress);
+            }
+
+            return new Promise((resolve, reject) => {
+                const id = this.nextTaskId++;
+                const task = { id, key, resolve, reject, onProgress, started: false, arrayBuffer, name };
+                try {
+                    task.worker = this.idleWorker || new Worker(this.options.scriptUrl);
+                } catch (error) {
+                    console.warn('⚠️ 无法创建解析 Worker，改为在主线程中解析:', error);
+                    this.workerFailed = true;
+                    resolve(this.parseOnMainThread(arrayBuffer, name, onProgress));
+                    return;
+                }
+                this.idleWorker = null;
+                this.tasks.set(id, task);
+
+                task.worker.onmessage = (e) => this.handleMessage(task, e.data);
+                task.worker.onerror = (event) => this.handleWorkerError(task, event);
+                task.worker.postMessage({ id, buffer: arrayBuffer, name, decodePixels: this.options.decodePixels, knownCelHashes });
+            });
+        }
+
+        /**
+         * 取消 key 对应的进行中任务
+         * @param {string} key - 任务的 key（通常为文件路径）
+         * @returns {boolean} - 是否有任务被取消
+         */
+        cancel(key) {
+            let cancelled = false;
+            [...this.tasks.values()].filter(task => task.key === key).forEach(task => {
+                this.finishTask(task, false);
+                const error = new Error('解析已取消：文件有更新的版本');
+                error.cancelled = true;
+                task.reject(error);
+                cancelled = true;
+            });
+            return cancelled;
+        }
+
+        /**
+         * 取消所有任务并结束 Worker
+         */
+        destroy() {
+            [...this.tasks.values()].forEach(task => {
+                this.finishTask(task, false);
+                const error = new Error('解析已取消');
+                error.cancelled = true;
+                task.reject(error);
+            });
+            if (this.idleWorker) {
+                this.idleWorker.terminate();
+                this.idleWorker = null;
+            }
+        }
+
+        // 处理 Worker 发回的消息
+        handleMessage(task, message) {
+            if (!this.tasks.has(task.id) || message.id !== task.id) return;
+            task.started = true;
+
+            if (message.type === 'progress') {
+                if (task.onProgress) {
+                    task.onProgress(message.progress);
+                }
+                return;
+            }
+
+            this.finishTask(task, true);
+            if (message.type === 'done') {
+                task.resolve(message.data);
+            } else {
+                const error = new Error(message.error);
+                error.details = message.details;
+                task.reject(error);
+            }
+        }
+
+        // Worker 脚本加载失败时改为在主线程中解析，之后的任务也不再使用 Worker
+        handleWorkerError(task, event) {
+            if (!this.tasks.has(task.id)) return;
+            event.preventDefault();
+
+            this.finishTask(task, false);
+            if (task.started) {
+                task.reject(new Error(`解析 Worker 出错: ${event.message || '未知错误'}`));
+                return;
+            }
+            console.warn('⚠️ 解析 Worker 加载失败，改为在主线程中解析:', event.message);
+            this.workerFailed = true;
+            this.parseOnMainThread(task.arrayBuffer, task.name, task.onProgress).then(task.resolve, task.reject);
+        }
+
+        // 结束任务；Worker 正常完成时留作下一个任务使用，否则终止（进行中的解析随之停止）
+        finishTask(task, reusable) {
+            this.tasks.delete(task.id);
+            task.worker.onmessage = null;
+            task.worker.onerror = null;
+            if (reusable && !this.idleWorker) {
+                this.idleWorker = task.worker;
+            } else {
+                task.worker.terminate();
+            }
+        }
+
+        // 在主线程中解析（不预先解码，由渲染器按需解码）
+        async parseOnMainThread(arrayBuffer, name, onProgress) {
+            const report = onProgress ? createProgressReporter(onProgress) : null;
+            return AseReader.read(arrayBuffer, name, report ? (loaded, total) => report('parse', loaded, total) : undefined);
+        }
+    }
+
+    // Electron 主进程的解析线程（electron/parse-worker.js）也用它传回像素数据
+    AseParseWorker.collectTransferables = collectTransferables;
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AseParseWorker;
+    } else {
+        window.AseParseWorker = AseParseWorker;
+        window.aseParseWorker = new AseParseWorker();
+    }
+})();
@@ -1,6 +1,23 @@
 /**
  * Aseprite 文件解析器
- * 基于 ase-web-viewer 的 AseReader 类，使用原生 JavaScript 实现
+ * 基于 ase-web-viewer 的 AseReader 类，使用原生 JavaScript 实现，浏览器和 Node（Electron 主进程）共用。
+ * 需要全局的 pako 解压像素数据，Node 中需先设置 global.pako。
+ *
+ * AseReader.read 返回统一的文档模型，所有界面功能只读取这一种结构：
+ *   精灵   name, fileSize, width, height, colorDepth（32/16/8）, flags（bit 0 图层不透明度有效）,
+ *          transparentIndex, numColors, pixelRatio（"w:h"）, numFrames, colorProfile, userData
+ *   图层   layers[]    { name, type（0 普通 1 组 2 图块地图）, flags（数字，bit 0 可见 bit 3 背景 bit 5 组折叠）,
+ *                        layerChildLevel, blendMode, opacity, tilesetIndex?, userData? }
+ *   帧     frames[]    { frameDuration（毫秒）, cels[] }
+ *   Cel    cels[]      { layerIndex, xpos, ypos, opacity, celType, zIndex, userData?,
+ *                        w, h, rawCelData（Uint8Array，已解压）, tilemapMetadata?（celType 3）, 或 linkedFrame（celType 1） }
+ *   标签   tags[]      { name, from, to, animDirection, repeat, color（"rrggbb"）, userData? }
+ *   调色板 palette     { paletteSize, firstColor, lastColor, colors[{ red, green, blue, alpha, name }] } 或 null
+ *   切片   slices[]    { name, flags, keys[{ frameNumber, x, y, width, height, patch?, pivot? }], userData? }
+ *   图块集 tilesets[]  { id, flags, tileCount, tileWidth, tileHeight, baseIndex, name, rawTilesetData?, externalFile?, userData? }
+ *   外部文件 externalFiles[] { id, type, fileName }
+ *   用户数据 userData  { text?, color?{ red, green, blue, alpha }, properties?{ 属性映射键: { 名称: 值 } } }
+ *          属性映射键 0 为用户属性，其余为外部文件中扩展的 ID
  */
 
 class AseReader {
@@ -11,13 +28,143 @@ class AseReader {
         this.frames = [];
         this.layers = [];
         this.tags = [];
+        this.tilesets = [];
+        this.slices = [];
+        this.userData = null; // 精灵的用户数据
+        this.externalFiles = [];
         this.fileSize = 0;
         this.numFrames = 0;
         this.width = 0;
         this.height = 0;
         this.colorDepth = 0;
         this.numColors = 0;
+        this.transparentIndex = 0; // 索引色模式下的透明色索引
         this.pixelRatio = '';
+        this.flags = 0;
+        this.palette = null;
+        this.colorProfile = null;
+        this._hasPaletteChunk = false; // 读到新调色板块后忽略旧调色板块
+        
+        // 当前解析位置，用于生成解析错误（null 表示不在帧或块中）
+        this._frameIndex = null;
+        this._chunkType = null;
+        this._chunkOffset = null;
+    }
+    
+    /**
+     * 创建带位置信息的解析错误
+     * @param {string} message - 错误说明
+     * @param {number} offset - 出错位置的字节偏移
+     * @returns {Error} - details 为 { reason, frameIndex, chunkType, chunkName, offset }，frameIndex 为 null 表示文件头
+     */
+    createParseError(message, offset) {
+        const details = {
+            reason: message,
+            frameIndex: this._frameIndex,
+            chunkType: this._chunkType,
+            chunkName: this._chunkType !== null ? AseReader.getChunkTypeName(this._chunkType) : null,
+            offset
+        };
+        const error = new Error(`${message}（${AseReader.describeErrorLocation(details)}）`);
+        error.details = details;
+        return error;
+    }
+    
+    /**
+     * 获取块类型名称
+     * @param {number} type - 块类型
+     * @returns {string} - 如 "0x2005 Cel"
+     */
+    static getChunkTypeName(type) {
+        const hex = `0x${type.toString(16).toUpperCase().padStart(4, '0')}`;
+        const name = AseReader.CHUNK_TYPE_NAMES[type];
+        return name ? `${hex} ${name}` : hex;
+    }
+    
+    /**
+     * 描述解析错误的位置
+     * @param {Object} details - 解析错误的 details
+     * @returns {string} - 如 "第 3 帧，块 0x2005 Cel，偏移 1234"
+     */
+    static describeErrorLocation(details) {
+        const parts = [details.frameIndex === null ? '文件头' : `第 ${details.frameIndex + 1} 帧`];
+        if (details.chunkName) {
+            parts.push(`块 ${details.chunkName}`);
+        }
+        parts.push(`偏移 ${details.offset}`);
+        return parts.join('，');
+    }
+    
+    /**
+     * 检查文件结构：文件头和帧的标识，以及帧和块的长度都不超出文件，不解析块的内容
+     * 保存到一半的文件通常在这里就能发现，避免之后读取时出现 DataView 越界错误
+     */
+    checkStructure() {
+        const length = this._dv.byteLength;
+        const hex = value => `0x${value.toString(16).toUpperCase().padStart(4, '0')}`;
+        
+        this._frameIndex = null;
+        this._chunkType = null;
+        if (length < 128) {
+            throw this.createParseError(`文件不完整：只有 ${length} 字节，文件头需要 128 字节`, length);
+        }
+        const magic = this.readWord(4);
+        if (magic !== 0xA5E0) {
+            throw this.createParseError(`文件头标识无效：${hex(magic)}，应为 0xA5E0`, 4);
+        }
+        
+        const numFrames = this.readWord(6);
+        let offset = 128;
+        for (let i = 0; i < numFrames; i++) {
+            this._frameIndex = i;
+            if (offset + 16 > length) {
+                throw this.createParseError(`文件被截断：缺少帧头（文件共 ${length} 字节）`, offset);
+            }
+            const frameMagic = this.readWord(offset + 4);
+            if (frameMagic !== 0xF1FA) {
+                throw this.createParseError(`帧标识无效：${hex(frameMagic)}，应为 0xF1FA`, offset + 4);
+            }
+            const bytesInFrame = this.readDWord(offset);
+            const frameEnd = offset + bytesInFrame;
+            if (bytesInFrame < 16 || frameEnd > length) {
+                throw this.createParseError(`帧长度 ${bytesInFrame} 字节超出文件末尾（文件共 ${length} 字节）`, offset);
+            }
+            
+            const oldChunk = this.readWord(offset + 6);
+            const newChunk = this.readDWord(offset + 12);
+            const numChunks = newChunk === 0 ? oldChunk : newChunk;
+            let chunkOffset = offset + 16;
+            for (let c = 0; c < numChunks; c++) {
+                this._chunkType = null;
+                if (chunkOffset + 6 > frameEnd) {
+                    throw this.createParseError(`第 ${c + 1} 个块（共 ${numChunks} 个）的块头超出帧末尾`, chunkOffset);
+                }
+                const chunkSize = this.readDWord(chunkOffset);
+                this._chunkType = this.readWord(chunkOffset + 4);
+                if (chunkSize < 6 || chunkOffset + chunkSize > frameEnd) {
+                    throw this.createParseError(`块长度 ${chunkSize} 字节无效或超出帧末尾`, chunkOffset);
+                }
+                chunkOffset += chunkSize;
+            }
+            
+            this._chunkType = null;
+            offset = frameEnd;
+        }
+        this._frameIndex = null;
+    }
+    
+    /**
+     * 检查文件结构（见 checkStructure），不需要 pako，可在 Node 中使用
+     * @param {ArrayBuffer} arrayBuffer - 文件内容
+     * @returns {{message: string, details: Object}|null} - 结构完整时返回 null
+     */
+    static validate(arrayBuffer) {
+        try {
+            new AseReader(arrayBuffer, '').checkStructure();
+            return null;
+        } catch (error) {
+            return { message: error.message, details: error.details || null };
+        }
     }
     
     readNextByte() {
@@ -70,41 +217,31 @@ class AseReader {
         return this._dv.getInt32(offset, true);
     }
     
+    // FIXED 为 16.16 定点数
     readNextFixed() {
-        const fixed = this._dv.getFloat32(this._offset, true);
-        this._offset += 4;
-        return fixed;
+        return this.readNextLong() / 65536;
     }
     
     readFixed(offset) {
-        return this._dv.getFloat32(offset, true);
+        return this.readLong(offset) / 65536;
     }
     
     readNextBytes(numBytes) {
-        let strBuff = new ArrayBuffer(numBytes);
-        const strdv = new DataView(strBuff);
-        for (let i = 0; i < numBytes; i++) {
-            strdv.setUint8(i, this.readNextByte());
-        }
-        return this.Utf8ArrayToStr(new Uint8Array(strBuff));
+        return this.Utf8ArrayToStr(this.readNextRawBytes(numBytes));
     }
     
+    // 一次复制整段数据，返回的数组不与文件共用内存，可单独作为 transferable 传输
     readNextRawBytes(numBytes) {
-        let buff = new ArrayBuffer(numBytes);
-        const strdv = new DataView(buff);
-        for (let i = 0; i < numBytes; i++) {
-            strdv.setUint8(i, this.readNextByte());
-        }
-        return new Uint8Array(buff);
+        const bytes = this.readRawBytes(numBytes, this._dv, this._offset);
+        this._offset += numBytes;
+        return bytes;
     }
     
     readRawBytes(numBytes, dv, offset) {
-        let buff = new ArrayBuffer(numBytes - offset);
-        const buffdv = new DataView(buff);
-        for (let i = 0; i < numBytes - offset; i++) {
-            buffdv.setUint8(i, dv.getUint8(offset + i, true));
+        if (numBytes < 0 || offset + numBytes > dv.byteLength) {
+            throw new RangeError('Offset is outside the bounds of the DataView');
         }
-        return new Uint8Array(buff);
+        return new Uint8Array(dv.buffer, dv.byteOffset + offset, numBytes).slice();
     }
     
     readNextString() {
@@ -152,6 +289,14 @@ class AseReader {
                         ((c & 0x0f) << 12) | ((char2 & 0x3f) << 6) | ((char3 & 0x3f) << 0)
                     );
                     break;
+                case 15:
+                    // 1111 0xxx  10xx xxxx  10xx xxxx  10xx xxxx（emoji 等 BMP 之外的字符）
+                    char2 = array[i++];
+                    char3 = array[i++];
+                    out += String.fromCodePoint(
+                        ((c & 0x07) << 18) | ((char2 & 0x3f) << 12) | ((char3 & 0x3f) << 6) | (array[i++] & 0x3f)
+                    );
+                    break;
             }
         }
         return out;
@@ -164,7 +309,11 @@ class AseReader {
         this.width = this.readNextWord();
         this.height = this.readNextWord();
         this.colorDepth = this.readNextWord();
-        this.skipBytes(18);
+        // 头部标志位：bit 0 表示图层不透明度有效
+        this.flags = this.readNextDWord();
+        this.skipBytes(10);
+        this.transparentIndex = this.readNextByte();
+        this.skipBytes(3);
         this.numColors = this.readNextWord();
         const pixW = this.readNextByte();
         const pixH = this.readNextByte();
@@ -177,7 +326,9 @@ class AseReader {
             width: this.width,
             height: this.height,
             colorDepth: this.colorDepth,
+            flags: this.flags,
             numColors: this.numColors,
+            transparentIndex: this.transparentIndex,
             pixelRatio: this.pixelRatio
         });
         
@@ -191,45 +342,170 @@ class AseReader {
         const frameDuration = this.readNextWord();
         this.skipBytes(2);
         const newChunk = this.readNextDWord();
+        // 新字段为 0 时使用旧的块数量字段
+        const numChunks = newChunk === 0 ? oldChunk : newChunk;
         let cels = [];
-        for (let i = 0; i < newChunk; i++) {
+        // 用户数据块附加到其前一个对象上（标签块之后依次对应每个标签）
+        let userDataTargets = [];
+        for (let i = 0; i < numChunks; i++) {
+            const chunkStart = this._offset;
             let chunkData = this.readChunk();
-            switch (chunkData.type) {
-                case 0x0004:
-                case 0x2006:
-                case 0x0011:
-                case 0x2016:
-                case 0x2017:
-                case 0x2020:
-                case 0x2022:
-                    this.skipBytes(chunkData.chunkSize - 6);
-                    break;
-                case 0x2004:
-                    this.readLayerChunk();
-                    break;
-                case 0x2005:
-                    let celData = this.readCelChunk(chunkData.chunkSize);
-                    cels.push(celData);
-                    break;
-                case 0x2007:
-                    this.readColorProfileChunk();
-                    break;
-                case 0x2018:
-                    this.readFrameTagsChunk();
-                    break;
-                case 0x2019:
-                    this.palette = this.readPaletteChunk();
-                    break;
+            this._chunkType = chunkData.type;
+            this._chunkOffset = chunkStart;
+            try {
+                switch (chunkData.type) {
+                    case 0x0004:
+                    case 0x0011:
+                        // 旧版文件只有旧调色板块，新版文件同时写入两种，以新调色板块为准
+                        if (!this._hasPaletteChunk) {
+                            this.palette = this.readOldPaletteChunk(chunkData.type === 0x0011);
+                        }
+                        // 第一帧调色板之后的用户数据属于精灵本身
+                        userDataTargets = this.frames.length === 0 ? [this] : [];
+                        break;
+                    case 0x2004:
+                        this.readLayerChunk();
+                        userDataTargets = [this.layers[this.layers.length - 1]];
+                        break;
+                    case 0x2005:
+                        let celData = this.readCelChunk(chunkData.chunkSize);
+                        cels.push(celData);
+                        userDataTargets = [celData];
+                        break;
+                    case 0x2006:
+                        // Cel 额外信息块不改变用户数据的归属
+                        break;
+                    case 0x2007:
+                        this.readColorProfileChunk();
+                        break;
+                    case 0x2008:
+                        this.readExternalFilesChunk();
+                        break;
+                    case 0x2018:
+                        const firstTag = this.tags.length;
+                        this.readFrameTagsChunk();
+                        userDataTargets = this.tags.slice(firstTag);
+                        break;
+                    case 0x2019:
+                        this.palette = this.readPaletteChunk();
+                        this._hasPaletteChunk = true;
+                        userDataTargets = this.frames.length === 0 ? [this] : [];
+                        break;
+                    case 0x2020:
+                        const target = userDataTargets.shift();
+                        const userData = this.readUserDataChunk();
+                        if (target) {
+                            target.userData = userData;
+                        }
+                        break;
+                    case 0x2022:
+                        const slice = this.readSliceChunk();
+                        this.slices.push(slice);
+                        userDataTargets = [slice];
+                        break;
+                    case 0x2023:
+                        const tileset = this.readTilesetChunk();
+                        this.tilesets.push(tileset);
+                        userDataTargets = [tileset];
+                        break;
+                    default:
+                        // 其余块（遮罩、路径等）暂不解析
+                        userDataTargets = [];
+                        break;
+                }
+            } catch (error) {
+                // 块内容不完整时 DataView 会抛出越界错误，改为带位置信息的错误
+                throw error.details ? error : this.createParseError(`块数据无效：${error.message}`, chunkStart);
             }
+            // 始终跳到块末尾，避免未读完的块数据（如 ICC 配置）影响后续解析
+            this._offset = chunkStart + chunkData.chunkSize;
         }
         this.frames.push({
-            bytesInFrame,
             frameDuration,
-            numChunks: newChunk,
             cels
         });
     }
     
+    /**
+     * 解压缩 zlib 数据
+     * @param {Uint8Array} buff - 压缩数据
+     * @returns {Uint8Array} - 解压后的数据（pako 未加载时返回原始数据）
+     * @throws {Error} - 压缩数据不完整或已损坏时抛出解析错误，details 中包含出错的帧、块类型和字节偏移
+     */
+    inflate(buff) {
+        if (typeof pako === 'undefined') {
+            console.warn('pako 库未加载，使用原始数据');
+            return buff;
+        }
+        try {
+            const data = pako.inflate(buff);
+            console.log(`📦 解压缩成功: ${buff.length} -> ${data.length} 字节`);
+            return data;
+        } catch (error) {
+            // 压缩数据不完整（例如文件保存到一半），pako 的错误信息对用户没有帮助，只记录在日志中
+            console.warn('pako 解压缩失败:', error);
+            throw this.createParseError('像素数据解压失败：压缩数据不完整或已损坏', this._chunkOffset);
+        }
+    }
+    
+    /**
+     * 读取外部文件块（0x2008），记录外部图块集、调色板等文件引用
+     */
+    readExternalFilesChunk() {
+        const numEntries = this.readNextDWord();
+        this.skipBytes(8);
+        for (let i = 0; i < numEntries; i++) {
+            const id = this.readNextDWord();
+            const type = this.readNextByte();
+            this.skipBytes(7);
+            const fileName = this.readNextString();
+            this.externalFiles.push({ id, type, fileName });
+        }
+    }
+    
+    /**
+     * 读取图块集块（0x2023）
+     * 图块图像为 tileWidth x (tileHeight * tileCount) 的竖条，格式与精灵颜色深度相同
+     * @returns {Object} - 图块集信息
+     */
+    readTilesetChunk() {
+        const id = this.readNextDWord();
+        const flags = this.readNextDWord();
+        const tileCount = this.readNextDWord();
+        const tileWidth = this.readNextWord();
+        const tileHeight = this.readNextWord();
+        const baseIndex = this.readNextShort();
+        this.skipBytes(14);
+        const name = this.readNextString();
+        
+        const tileset = {
+            id,
+            flags,
+            tileCount,
+            tileWidth,
+            tileHeight,
+            baseIndex,
+            name
+        };
+        
+        // bit 0：图块保存在外部文件中
+        if ((flags & 1) !== 0) {
+            tileset.externalFile = {
+                id: this.readNextDWord(),
+                tilesetId: this.readNextDWord()
+            };
+        }
+        
+        // bit 1：图块嵌入在本文件中
+        if ((flags & 2) !== 0) {
+            const dataLength = this.readNextDWord();
+            tileset.rawTilesetData = this.inflate(this.readNextRawBytes(dataLength));
+        }
+        
+        console.log('📊 读取图块集:', { id, name, tileCount, tileWidth, tileHeight });
+        return tileset;
+    }
+    
     readColorProfileChunk() {
         const type = this.readNextWord();
         const flag = this.readNextWord();
@@ -238,13 +514,18 @@ class AseReader {
         this.colorProfile = { type, flag, fGamma };
     }
     
+    /**
+     * 读取调色板块（0x2019）
+     * 块中只包含 firstColor 到 lastColor 的颜色，其余颜色沿用之前的调色板
+     * @returns {Object} - 调色板 { paletteSize, firstColor, lastColor, colors }
+     */
     readPaletteChunk() {
         const paletteSize = this.readNextDWord();
         const firstColor = this.readNextDWord();
-        const secondColor = this.readNextDWord();
+        const lastColor = this.readNextDWord();
         this.skipBytes(8);
-        let colors = [];
-        for (let i = 0; i < paletteSize; i++) {
+        const colors = this.palette ? this.palette.colors.slice(0, paletteSize) : [];
+        for (let i = firstColor; i <= lastColor; i++) {
             let flag = this.readNextWord();
             let red = this.readNextByte();
             let green = this.readNextByte();
@@ -254,22 +535,59 @@ class AseReader {
             if (flag === 1) {
                 name = this.readNextString();
             }
-            colors.push({
+            colors[i] = {
                 red,
                 green,
                 blue,
                 alpha,
                 name: name !== undefined ? name : 'none'
-            });
+            };
         }
         return {
             paletteSize,
             firstColor,
-            lastColor: secondColor,
-            colors
+            lastColor,
+            colors: AseReader.fillPaletteGaps(colors, paletteSize)
+        };
+    }
+    
+    /**
+     * 读取旧调色板块（0x0004 颜色范围 0-255，0x0011 颜色范围 0-63），只在没有新调色板块时使用
+     * @param {boolean} sixBit - 颜色是否为 0-63
+     * @returns {Object} - 与 readPaletteChunk 相同结构的调色板
+     */
+    readOldPaletteChunk(sixBit) {
+        const numPackets = this.readNextWord();
+        const colors = [];
+        let index = 0;
+        for (let p = 0; p < numPackets; p++) {
+            index += this.readNextByte();
+            // 颜色数量为 0 表示 256 个
+            const count = this.readNextByte() || 256;
+            for (let i = 0; i < count; i++) {
+                const [red, green, blue] = [this.readNextByte(), this.readNextByte(), this.readNextByte()]
+                    .map(value => sixBit ? Math.round(value * 255 / 63) : value);
+                colors[index++] = { red, green, blue, alpha: 255, name: 'none' };
+            }
+        }
+        return {
+            paletteSize: colors.length,
+            firstColor: 0,
+            lastColor: colors.length - 1,
+            colors: AseReader.fillPaletteGaps(colors, colors.length)
         };
     }
     
+    // 未定义的调色板颜色按不透明黑色处理
+    static fillPaletteGaps(colors, size) {
+        for (let i = 0; i < size; i++) {
+            if (!colors[i]) {
+                colors[i] = { red: 0, green: 0, blue: 0, alpha: 255, name: 'none' };
+            }
+        }
+        return colors;
+    }
+    
     readLayerChunk() {
         const flags = this.readNextWord();
         const type = this.readNextWord();
@@ -289,6 +607,11 @@ class AseReader {
             name
         };
         
+        // 图块地图图层记录所使用的图块集索引
+        if (type === 2) {
+            layerData.tilesetIndex = this.readNextDWord();
+        }
+        
         console.log('📊 读取图层:', layerData);
         this.layers.push(layerData);
     }
@@ -299,31 +622,39 @@ class AseReader {
         const y = this.readNextShort();
         const opacity = this.readNextByte();
         const celType = this.readNextWord();
-        this.skipBytes(7);
-        let w, h, buff, rawCel, linkedFrame, pixelD = {};
+        // z 索引：与图层顺序的偏移，0 表示按图层顺序
+        const zIndex = this.readNextShort();
+        this.skipBytes(5);
+        let w, h, buff, rawCel, linkedFrame, tilemapMetadata, pixelD = {};
         
-        if (celType !== 1) {
+        if (celType === 3) {
+            // 压缩的图块地图：w/h 为图块数量，每个图块为一个带翻转标志位的图块编号
+            w = this.readNextWord();
+            h = this.readNextWord();
+            tilemapMetadata = {
+                bitsPerTile: this.readNextWord(),
+                bitmaskForTileId: this.readNextDWord(),
+                bitmaskForXFlip: this.readNextDWord(),
+                bitmaskForYFlip: this.readNextDWord(),
+                // 文档中称为 90° 旋转，实际为对角线翻转（交换 X/Y）
+                bitmaskFor90CWRotation: this.readNextDWord()
+            };
+            this.skipBytes(10);
+            rawCel = this.inflate(this.readNextRawBytes(chunkSize - 54));
+        } else if (celType !== 1) {
             w = this.readNextWord();
             h = this.readNextWord();
             buff = this.readNextRawBytes(chunkSize - 26);
             
             if (celType === 2) {
                 // 使用 pako 解压缩
-                if (typeof pako !== 'undefined') {
-                    try {
-                        rawCel = pako.inflate(buff);
-                        console.log(`📦 Cel 解压缩成功: ${buff.length} -> ${rawCel.length} 字节`);
-                    } catch (error) {
-                        console.warn('pako 解压缩失败，使用原始数据:', error);
-                        rawCel = buff;
-                    }
-                } else {
-                    console.warn('pako 库未加载，使用原始数据');
-                    rawCel = buff;
-                }
+                rawCel = this.inflate(buff);
             } else if (celType === 0) {
                 rawCel = buff;
             }
+        }
+        
+        if (celType !== 1) {
             
             // 确保 rawCelData 是 Uint8Array
             if (rawCel && !(rawCel instanceof Uint8Array)) {
@@ -344,6 +675,9 @@ class AseReader {
             pixelD.w = w;
             pixelD.h = h;
             pixelD.rawCelData = rawCel;
+            if (tilemapMetadata) {
+                pixelD.tilemapMetadata = tilemapMetadata;
+            }
             
             // 添加调试信息
             console.log(`📊 Cel 数据: 尺寸 ${w}x${h}, 数据长度 ${rawCel ? rawCel.length : 0}, 类型 ${celType}`);
@@ -357,6 +691,7 @@ class AseReader {
             ypos: y,
             opacity,
             celType,
+            zIndex,
             ...pixelD
         };
     }
@@ -368,7 +703,7 @@ class AseReader {
     }
     
     readFrameTagsChunk() {
-        const loops = ['Forward', 'Reverse', 'Ping-pong'];
+        const loops = ['Forward', 'Reverse', 'Ping-pong', 'Ping-pong Reverse'];
         const numTags = this.readNextWord();
         this.skipBytes(8);
         for (let i = 0; i < numTags; i++) {
@@ -377,14 +712,146 @@ class AseReader {
             tag.to = this.readNextWord();
             const loopsInd = this.readNextByte();
             tag.animDirection = loops[loopsInd];
-            this.skipBytes(8);
-            tag.color = this.readNextRawBytes(3).toString('hex');
+            // 重复次数，0 表示无限循环
+            tag.repeat = this.readNextWord();
+            this.skipBytes(6);
+            // 与 ase-parser 一致，颜色保存为 "rrggbb" 形式的十六进制字符串
+            tag.color = Array.from(this.readNextRawBytes(3), byte => byte.toString(16).padStart(2, '0')).join('');
             this.skipBytes(1);
             tag.name = this.readNextString();
             this.tags.push(tag);
         }
     }
     
+    /**
+     * 读取用户数据块（0x2020）
+     * @returns {Object} - 用户数据 { text, color, properties }
+     */
+    readUserDataChunk() {
+        const flags = this.readNextDWord();
+        const userData = {};
+        if ((flags & 1) !== 0) {
+            userData.text = this.readNextString();
+        }
+        if ((flags & 2) !== 0) {
+            userData.color = {
+                red: this.readNextByte(),
+                green: this.readNextByte(),
+                blue: this.readNextByte(),
+                alpha: this.readNextByte()
+            };
+        }
+        if ((flags & 4) !== 0) {
+            this.skipBytes(4); // 所有属性映射的总字节数
+            const numMaps = this.readNextDWord();
+            userData.properties = {};
+            for (let i = 0; i < numMaps; i++) {
+                const key = this.readNextDWord();
+                userData.properties[key] = this.readPropertiesMap();
+            }
+        }
+        return userData;
+    }
+    
+    // 读取一组属性 { 名称: 值 }
+    readPropertiesMap() {
+        const numProperties = this.readNextDWord();
+        const properties = {};
+        for (let i = 0; i < numProperties; i++) {
+            const name = this.readNextString();
+            properties[name] = this.readPropertyValue(this.readNextWord());
+        }
+        return properties;
+    }
+    
+    /**
+     * 按类型读取一个属性值，64 位整数转换为 Number
+     * @param {number} type - 属性类型（0x0001 布尔 ~ 0x0013 UUID）
+     * @returns {*} - 属性值
+     */
+    readPropertyValue(type) {
+        const dv = this._dv;
+        const read = (size, getter) => {
+            const value = getter(this._offset);
+            this._offset += size;
+            return value;
+        };
+        switch (type) {
+            case 0x0001: return this.readNextByte() !== 0;
+            case 0x0002: return read(1, offset => dv.getInt8(offset));
+            case 0x0003: return this.readNextByte();
+            case 0x0004: return this.readNextShort();
+            case 0x0005: return this.readNextWord();
+            case 0x0006: return this.readNextLong();
+            case 0x0007: return this.readNextDWord();
+            case 0x0008: return read(8, offset => Number(dv.getBigInt64(offset, true)));
+            case 0x0009: return read(8, offset => Number(dv.getBigUint64(offset, true)));
+            case 0x000A: return this.readNextFixed();
+            case 0x000B: return read(4, offset => dv.getFloat32(offset, true));
+            case 0x000C: return read(8, offset => dv.getFloat64(offset, true));
+            case 0x000D: return this.readNextString();
+            case 0x000E: return { x: this.readNextLong(), y: this.readNextLong() };
+            case 0x000F: return { width: this.readNextLong(), height: this.readNextLong() };
+            case 0x0010: return { x: this.readNextLong(), y: this.readNextLong(), width: this.readNextLong(), height: this.readNextLong() };
+            case 0x0011: {
+                // 向量：元素类型为 0 时每个元素自带类型
+                const count = this.readNextDWord();
+                const elementType = this.readNextWord();
+                const values = [];
+                for (let i = 0; i < count; i++) {
+                    values.push(this.readPropertyValue(elementType === 0 ? this.readNextWord() : elementType));
+                }
+                return values;
+            }
+            case 0x0012: return this.readPropertiesMap();
+            case 0x0013: return Array.from(this.readNextRawBytes(16), byte => byte.toString(16).padStart(2, '0')).join('');
+            default:
+                throw this.createParseError(`未知的用户数据属性类型：0x${type.toString(16).padStart(4, '0')}`, this._offset - 2);
+        }
+    }
+    
+    /**
+     * 读取切片块（0x2022）
+     * 每个关键帧的切片范围从该帧开始生效，直到下一个关键帧
+     * @returns {Object} - 切片信息
+     */
+    readSliceChunk() {
+        const numSliceKeys = this.readNextDWord();
+        const flags = this.readNextDWord();
+        this.skipBytes(4);
+        const name = this.readNextString();
+        const keys = [];
+        for (let i = 0; i < numSliceKeys; i++) {
+            const key = {
+                frameNumber: this.readNextDWord(),
+                x: this.readNextLong(),
+                y: this.readNextLong(),
+                width: this.readNextDWord(),
+                height: this.readNextDWord()
+            };
+            // bit 0：9 宫格切片，中心区域相对于切片左上角
+            if ((flags & 1) !== 0) {
+                key.patch = {
+                    x: this.readNextLong(),
+                    y: this.readNextLong(),
+                    width: this.readNextDWord(),
+                    height: this.readNextDWord()
+                };
+            }
+            // bit 1：轴心点，相对于切片左上角
+            if ((flags & 2) !== 0) {
+                key.pivot = {
+                    x: this.readNextLong(),
+                    y: this.readNextLong()
+                };
+            }
+            keys.push(key);
+        }
+        
+        console.log('📊 读取切片:', { name, flags, keys: keys.length });
+        return { flags, name, keys };
+    }
+    
     // 简单的解压缩实现（仅用于演示）
     simpleInflate(data) {
         // 这是一个非常简化的实现，仅用于演示
@@ -393,17 +860,87 @@ class AseReader {
         return data;
     }
     
-    parse() {
+    /**
+     * 解析整个文件
+     * @param {Function} onProgress - 可选，每读完一帧调用 (已读帧数, 总帧数)
+     */
+    parse(onProgress) {
+        this.checkStructure();
         const numFrames = this.readHeader();
         for (let i = 0; i < numFrames; i++) {
+            this._frameIndex = i;
             this.readFrame();
+            if (onProgress) {
+                onProgress(i + 1, numFrames);
+            }
         }
+        this._frameIndex = null;
+        this._chunkType = null;
         
         console.log('📊 解析完成 - 图层数量:', this.layers.length);
         console.log('📊 图层列表:', this.layers);
     }
+    
+    /**
+     * 导出文档模型（见文件开头的说明），不包含解析器自身的状态，可通过 IPC 或 postMessage 传输
+     * @returns {Object} - 文档模型
+     */
+    toDocument() {
+        return {
+            name: this.name,
+            fileSize: this.fileSize,
+            width: this.width,
+            height: this.height,
+            colorDepth: this.colorDepth,
+            flags: this.flags,
+            transparentIndex: this.transparentIndex,
+            numColors: this.numColors,
+            pixelRatio: this.pixelRatio,
+            numFrames: this.numFrames,
+            colorProfile: this.colorProfile,
+            userData: this.userData,
+            layers: this.layers,
+            frames: this.frames,
+            tags: this.tags,
+            palette: this.palette,
+            slices: this.slices,
+            tilesets: this.tilesets,
+            externalFiles: this.externalFiles
+        };
+    }
+    
+    /**
+     * 解析文件并返回文档模型
+     * @param {ArrayBuffer} arrayBuffer - 文件内容
+     * @param {string} name - 文件名
+     * @param {Function} onProgress - 可选，见 parse
+     * @returns {Object} - 文档模型；解析失败时抛出带 details 的错误
+     */
+    static read(arrayBuffer, name, onProgress) {
+        const reader = new AseReader(arrayBuffer, name);
+        reader.parse(onProgress);
+        return reader.toDocument();
+    }
 }
 
+// 块类型名称，用于解析错误信息
+AseReader.CHUNK_TYPE_NAMES = {
+    0x0004: 'Old Palette',
+    0x0011: 'Old Palette',
+    0x2004: 'Layer',
+    0x2005: 'Cel',
+    0x2006: 'Cel Extra',
+    0x2007: 'Color Profile',
+    0x2008: 'External Files',
+    0x2016: 'Mask',
+    0x2017: 'Path',
+    0x2018: 'Tags',
+    0x2019: 'Palette',
+    0x2020: 'User Data',
+    0x2022: 'Slice',
+    0x2023: 'Tileset'
+};
+
 // 导出类
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AseReader;
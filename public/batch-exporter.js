@@ -0,0 +1,88 @@
+/**
+ * 批量导出文件名生成器
+ * 根据文件名模板为按帧、按图层拆分导出的 PNG 生成文件名，不依赖 DOM
+ *
+ * 模板占位符：
+ *   {file}   - 源文件名（不含扩展名）
+ *   {layer}  - 图层名（合成图像时为空）
+ *   {tag}    - 标签名（帧不属于任何标签时为空）
+ *   {frame}  - 帧索引（从 0 开始）
+ *   {frame001} 等 - 补零的帧编号，数字位数为宽度、数值为起始编号
+ * 值为空时会连同它前面的一个分隔符（_ - . 空格）一起移除；模板中的 / 用于创建子文件夹
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    const PLACEHOLDER_PATTERN = /([_\-. ]?)\{(file|layer|tag|frame)(\d*)\}/g;
+    const INVALID_CHARS = /[\\/:*?"<>|]/g;
+
+    // 替换文件名中不允许的字符
+    function sanitize(value) {
+        return String(value).replace(INVALID_CHARS, '_');
+    }
+
+    class BatchExporter {
+        /**
+         * 按模板生成单个文件的相对路径
+         * @param {string} template - 文件名模板，如 {file}_{layer}_{tag}_{frame}.png
+         * @param {Object} values - { file, layer, tag, frame }
+         * @param {string} extension - 文件扩展名，默认 png
+         * @returns {string} - 使用 / 分隔的相对路径，总是以该扩展名结尾
+         */
+        static formatFileName(template, values, extension = 'png') {
+            const name = (template || BatchExporter.DEFAULT_TEMPLATE).replace(PLACEHOLDER_PATTERN, (match, separator, key, digits) => {
+                let value;
+                if (key === 'frame') {
+                    value = digits
+                        ? String(values.frame + parseInt(digits, 10)).padStart(digits.length, '0')
+                        : String(values.frame);
+                } else {
+                    value = values[key] ? sanitize(values[key]) : '';
+                }
+                return value ? separator + value : '';
+            });
+
+            const segments = name.split('/').map(segment => segment.trim()).filter(segment => segment);
+            if (segments.length === 0) {
+                throw new Error(`文件名模板 "${template}" 生成了空文件名`);
+            }
+            if (segments.some(segment => segment === '..' || segment === '.')) {
+                throw new Error(`文件名模板 "${template}" 不能包含 . 或 .. 路径`);
+            }
+
+            // 模板中写了其它图片扩展名时替换为实际导出的格式
+            const path = segments.join('/').replace(/\.(png|gif|webp|json)$/i, '');
+            return `${path}.${extension}`;
+        }
+
+        /**
+         * 为一批导出图像生成文件名
+         * @param {string} template - 文件名模板
+         * @param {Array<Object>} items - 每项提供 { file, layer, tag, frame }
+         * @returns {Array<string>} - 与 items 一一对应的相对路径
+         */
+        static createFileNames(template, items) {
+            const names = items.map(item => BatchExporter.formatFileName(template, item));
+
+            // 同名文件会互相覆盖，提示用户在模板中加入能区分它们的占位符
+            const seen = new Set();
+            for (const name of names) {
+                const key = name.toLowerCase();
+                if (seen.has(key)) {
+                    throw new Error(`文件名 "${name}" 重复，请在模板中加入 {layer} 或 {frame}`);
+                }
+                seen.add(key);
+            }
+            return names;
+        }
+    }
+
+    BatchExporter.DEFAULT_TEMPLATE = '{file}_{layer}_{tag}_{frame}.png';
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BatchExporter;
+    } else {
+        window.BatchExporter = BatchExporter;
+    }
+})();
@@ -0,0 +1,297 @@
+/**
+ * 浏览器本地文件管理器
+ * 通过 File System Access API 保存文件句柄并轮询文件变化，句柄保存在 IndexedDB 中，刷新页面后可以重新打开
+ *
+ * 文件没有路径，用 local:<id>/<文件名> 形式的键标识，可作为 UnifiedFileMonitor 的 filePath 使用。
+ * 事件（EventTarget）：
+ *   fileChanged  - { filePath, timestamp }，文件写入完成后发送
+ *   stateChanged - { state, previousState, message, filePath, timestamp }，状态与 Electron 监控相同
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    const DB_NAME = 'ase-previewer';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'file-handles';
+
+    // 打开 IndexedDB 数据库
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 在对象仓库上执行一次请求
+    async function runRequest(mode, createRequest) {
+        const db = await openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = createRequest(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    class FileManager extends EventTarget {
+        constructor(options = {}) {
+            super();
+
+            this.options = {
+                pollInterval: 1000, // 轮询文件修改时间和大小的间隔
+                ...options
+            };
+
+            this.handles = new Map(); // 键 -> FileSystemFileHandle
+            this.monitors = new Map(); // 键 -> 轮询状态
+        }
+
+        /**
+         * 当前浏览器是否支持 File System Access API
+         * @returns {boolean}
+         */
+        isSupported() {
+            return typeof window.showOpenFilePicker === 'function' && typeof indexedDB !== 'undefined';
+        }
+
+        /**
+         * 打开文件选择器
+         * @returns {Promise<FileSystemFileHandle|null>} - 用户取消时返回 null
+         */
+        async pickFile() {
+            try {
+                const [handle] = await window.showOpenFilePicker({
+                    types: [{
+                        description: 'Aseprite 文件',
+                        accept: { 'application/octet-stream': ['.aseprite', '.ase'] }
+                    }]
+                });
+                return handle;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        /**
+         * 记录文件句柄并保存到 IndexedDB，同一文件再次打开时返回原来的键
+         * @param {FileSystemFileHandle} handle - 文件句柄
+         * @returns {Promise<string>} - 文件的键
+         */
+        async registerHandle(handle) {
+            let key = null;
+            for (const [existingKey, existing] of this.handles) {
+                if (await existing.isSameEntry(handle)) {
+                    key = existingKey;
+                    break;
+                }
+            }
+
+            key = key || `local:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}/${handle.name}`;
+            this.handles.set(key, handle);
+
+            try {
+                await runRequest('readwrite', store => store.put({ key, handle, name: handle.name, lastOpened: Date.now() }));
+            } catch (error) {
+                // 无法保存时仍可使用，只是刷新页面后不会自动重新打开
+                console.warn('⚠️ 保存文件句柄失败:', error);
+            }
+            return key;
+        }
+
+        /**
+         * 删除保存的文件句柄
+         * @param {string} key - 文件的键
+         */
+        async forgetHandle(key) {
+            this.stopPollingMonitor(key);
+            this.handles.delete(key);
+            try {
+                await runRequest('readwrite', store => store.delete(key));
+            } catch (error) {
+                console.warn('⚠️ 删除文件句柄失败:', error);
+            }
+        }
+
+        /**
+         * 读取 IndexedDB 中保存的文件句柄，按打开时间排序
+         * @returns {Promise<Array<{key: string, handle: FileSystemFileHandle, name: string, lastOpened: number}>>}
+         */
+        async getStoredHandles() {
+            if (!this.isSupported()) {
+                return [];
+            }
+
+            const records = await runRequest('readonly', store => store.getAll());
+            records.forEach(record => this.handles.set(record.key, record.handle));
+            return records.sort((a, b) => a.lastOpened - b.lastOpened);
+        }
+
+        /**
+         * 检查（并可选请求）文件的读取权限；请求权限必须在用户操作中调用
+         * @param {FileSystemFileHandle} handle - 文件句柄
+         * @param {boolean} request - 没有权限时是否请求
+         * @returns {Promise<boolean>}
+         */
+        async ensurePermission(handle, request = false) {
+            const options = { mode: 'read' };
+            if (await handle.queryPermission(options) === 'granted') {
+                return true;
+            }
+            return request && await handle.requestPermission(options) === 'granted';
+        }
+
+        /**
+         * 读取文件内容
+         * @param {string} key - 文件的键
+         * @returns {Promise<ArrayBuffer>}
+         */
+        async readFile(key) {
+            const handle = this.handles.get(key);
+            if (!handle) {
+                throw new Error(`未找到文件: ${key}`);
+            }
+            const file = await handle.getFile();
+            return file.arrayBuffer();
+        }
+
+        /**
+         * 开始轮询文件的修改时间和大小
+         * @param {string} key - 文件的键
+         */
+        startPollingMonitor(key) {
+            const handle = this.handles.get(key);
+            if (!handle) {
+                throw new Error(`未找到文件: ${key}`);
+            }
+
+            this.stopPollingMonitor(key);
+            const monitor = {
+                handle,
+                signature: null, // 最近一次确认的 "大小:修改时间"
+                pending: null, // 检测到但尚未稳定的 "大小:修改时间"
+                state: 'stopped',
+                polling: false,
+                timer: null
+            };
+            this.monitors.set(key, monitor);
+
+            // 先记录当前状态，之后的变化才会触发 fileChanged
+            handle.getFile()
+                .then(file => {
+                    monitor.signature = `${file.size}:${file.lastModified}`;
+                    this.setState(key, 'watching', '监控已启动');
+                })
+                .catch(error => this.setState(key, 'missing', `无法读取文件: ${error.message}`));
+
+            monitor.timer = setInterval(() => this.poll(key), this.options.pollInterval);
+            console.log(`🔄 开始轮询文件: ${handle.name}`);
+        }
+
+        /**
+         * 停止轮询文件
+         * @param {string} key - 文件的键
+         */
+        stopPollingMonitor(key) {
+            const monitor = this.monitors.get(key);
+            if (!monitor) return;
+
+            clearInterval(monitor.timer);
+            this.setState(key, 'stopped', '监控已停止');
+            this.monitors.delete(key);
+            console.log(`⏹️ 停止轮询文件: ${monitor.handle.name}`);
+        }
+
+        /**
+         * 检查一次文件是否变化
+         * 写入过程中大小和修改时间会继续变化，连续两次读到相同的新值才视为写入完成
+         * @param {string} key - 文件的键
+         */
+        async poll(key) {
+            const monitor = this.monitors.get(key);
+            if (!monitor || monitor.polling) return;
+
+            monitor.polling = true;
+            try {
+                let file;
+                try {
+                    file = await monitor.handle.getFile();
+                } catch (error) {
+                    // 原子保存的中间状态、文件被删除或权限被收回，文件重新出现后自动恢复
+                    this.setState(key, 'missing', error.name === 'NotAllowedError' ? '没有读取权限' : '文件暂时不存在');
+                    return;
+                }
+
+                if (!this.monitors.has(key)) return;
+
+                const signature = `${file.size}:${file.lastModified}`;
+                if (signature === monitor.signature) {
+                    monitor.pending = null;
+                    if (monitor.state !== 'watching') {
+                        this.setState(key, 'watching', '文件内容未变化');
+                    }
+                    return;
+                }
+
+                if (monitor.pending !== signature) {
+                    monitor.pending = signature;
+                    this.setState(key, 'changing', '检测到变化，等待文件写入完成');
+                    return;
+                }
+
+                monitor.signature = signature;
+                monitor.pending = null;
+                this.setState(key, 'watching', '文件已更新');
+                this.dispatchEvent(new CustomEvent('fileChanged', {
+                    detail: {
+                        filePath: key,
+                        timestamp: new Date().toISOString()
+                    }
+                }));
+            } finally {
+                monitor.polling = false;
+            }
+        }
+
+        /**
+         * 更新文件的监控状态，变化时发送 stateChanged 事件
+         * @param {string} key - 文件的键
+         * @param {string} state - watching、changing、missing 或 stopped
+         * @param {string} message - 状态说明
+         */
+        setState(key, state, message = '') {
+            const monitor = this.monitors.get(key);
+            if (!monitor || monitor.state === state) return;
+
+            const previousState = monitor.state;
+            monitor.state = state;
+            this.dispatchEvent(new CustomEvent('stateChanged', {
+                detail: {
+                    state,
+                    previousState,
+                    message,
+                    filePath: key,
+                    timestamp: new Date().toISOString()
+                }
+            }));
+        }
+    }
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FileManager;
+    } else {
+        window.FileManager = FileManager;
+        window.fileManager = new FileManager();
+    }
+})();
@@ -0,0 +1,411 @@
+/**
+ * GIF 动画编码器
+ * 纯 JavaScript 实现（LZW 压缩 + 中位切分颜色量化），只操作 RGBA 像素数组，
+ * 不依赖 DOM，可同时在浏览器和 Node 中使用
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    function pushWord(bytes, value) {
+        bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    function pushString(bytes, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i));
+        }
+    }
+
+    function concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    class GifEncoder {
+        /**
+         * @param {number} width - 图像宽度
+         * @param {number} height - 图像高度
+         * @param {Object} options - 编码选项
+         * @param {number} options.loopCount - 播放次数，0 表示无限循环，默认 0
+         * @param {Object} options.palette - 索引色精灵的调色板 { colors, transparentIndex }，
+         *                                   所有颜色都在调色板中时直接使用，保留原始颜色索引
+         */
+        constructor(width, height, options = {}) {
+            this.width = width;
+            this.height = height;
+            this.loopCount = options.loopCount || 0;
+            this.palette = options.palette || null;
+            this.frames = [];
+        }
+
+        /**
+         * 添加一帧
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像（尺寸需与编码器一致）
+         * @param {number} duration - 帧持续时间（毫秒）
+         */
+        addFrame(image, duration) {
+            if (image.width !== this.width || image.height !== this.height) {
+                throw new Error(`帧尺寸 ${image.width}x${image.height} 与 GIF 尺寸 ${this.width}x${this.height} 不一致`);
+            }
+            this.frames.push({ image, duration });
+        }
+
+        /**
+         * 编码所有帧
+         * @returns {Uint8Array} - GIF 文件数据
+         */
+        encode() {
+            if (this.frames.length === 0) {
+                throw new Error('没有可编码的帧');
+            }
+
+            const colorTable = this.buildColorTable();
+            const tableBits = Math.max(1, Math.ceil(Math.log2(colorTable.colors.length)));
+            const tableSize = 1 << tableBits;
+            const hasTransparency = colorTable.transparentIndex !== -1;
+            const parts = [];
+
+            // 文件头和逻辑屏幕描述符（全局颜色表）
+            const header = [];
+            pushString(header, 'GIF89a');
+            pushWord(header, this.width);
+            pushWord(header, this.height);
+            header.push(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+            for (let i = 0; i < tableSize; i++) {
+                const color = colorTable.colors[i] || { red: 0, green: 0, blue: 0 };
+                header.push(color.red, color.green, color.blue);
+            }
+
+            // NETSCAPE2.0 扩展：循环次数 0 表示无限循环，N 表示首次播放后再重复 N 次；省略时只播放一次
+            if (this.loopCount !== 1) {
+                header.push(0x21, 0xFF, 0x0B);
+                pushString(header, 'NETSCAPE2.0');
+                header.push(0x03, 0x01);
+                pushWord(header, this.loopCount === 0 ? 0 : Math.min(0xFFFF, this.loopCount - 1));
+                header.push(0x00);
+            }
+            parts.push(Uint8Array.from(header));
+
+            const minCodeSize = Math.max(2, tableBits);
+            for (const frame of this.frames) {
+                const block = [];
+                // 图形控制扩展：有透明色时每帧播放完恢复为背景，避免透明区域残留上一帧
+                const disposal = hasTransparency ? 2 : 1;
+                block.push(0x21, 0xF9, 0x04, (disposal << 2) | (hasTransparency ? 1 : 0));
+                pushWord(block, GifEncoder.toDelay(frame.duration));
+                block.push(hasTransparency ? colorTable.transparentIndex : 0, 0x00);
+
+                // 图像描述符（整幅画面，不使用局部颜色表）
+                block.push(0x2C);
+                pushWord(block, 0);
+                pushWord(block, 0);
+                pushWord(block, this.width);
+                pushWord(block, this.height);
+                block.push(0x00, minCodeSize);
+                parts.push(Uint8Array.from(block));
+
+                const indices = colorTable.indexImage(frame.image);
+                parts.push(GifEncoder.toSubBlocks(GifEncoder.lzwEncode(indices, minCodeSize)));
+            }
+
+            parts.push(Uint8Array.of(0x3B));
+            return concatBytes(parts);
+        }
+
+        /**
+         * 将毫秒转换为 GIF 的延迟单位（1/100 秒）
+         * 大多数浏览器会把小于 2 的延迟当作 100ms 播放，因此最小取 2
+         * @param {number} duration - 持续时间（毫秒）
+         * @returns {number}
+         */
+        static toDelay(duration) {
+            return Math.min(0xFFFF, Math.max(2, Math.round((duration || 100) / 10)));
+        }
+
+        /**
+         * 生成全局颜色表和像素到颜色索引的映射
+         * 透明度只有 1 位：alpha < 128 的像素视为透明，其余视为不透明
+         * @returns {{colors: Array, transparentIndex: number, indexImage: Function}}
+         */
+        buildColorTable() {
+            const counts = new Map();
+            let hasTransparentPixels = false;
+            for (const frame of this.frames) {
+                const data = frame.image.data;
+                for (let i = 0; i < data.length; i += 4) {
+                    if (data[i + 3] < 128) {
+                        hasTransparentPixels = true;
+                        continue;
+                    }
+                    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+            }
+
+            const paletteTable = this.palette ? this.buildPaletteTable(counts, hasTransparentPixels) : null;
+            if (paletteTable) {
+                return paletteTable;
+            }
+
+            const maxColors = hasTransparentPixels ? 255 : 256;
+            const colors = [];
+            const lookup = new Map();
+            if (counts.size <= maxColors) {
+                // 颜色数量足够少，直接使用精确颜色
+                for (const key of counts.keys()) {
+                    lookup.set(key, colors.length);
+                    colors.push({ red: (key >> 16) & 0xFF, green: (key >> 8) & 0xFF, blue: key & 0xFF });
+                }
+            } else {
+                colors.push(...GifEncoder.quantize(counts, maxColors));
+                for (const key of counts.keys()) {
+                    lookup.set(key, GifEncoder.findNearestColor(colors, (key >> 16) & 0xFF, (key >> 8) & 0xFF, key & 0xFF));
+                }
+            }
+
+            const transparentIndex = hasTransparentPixels ? colors.length : -1;
+            if (hasTransparentPixels) {
+                colors.push({ red: 0, green: 0, blue: 0 });
+            }
+            return {
+                colors,
+                transparentIndex,
+                indexImage: image => GifEncoder.indexImage(image, lookup, transparentIndex)
+            };
+        }
+
+        /**
+         * 尝试直接使用精灵调色板作为颜色表（保留索引色精灵的原始颜色索引）
+         * @param {Map} counts - 出现过的不透明颜色
+         * @param {boolean} hasTransparentPixels - 是否存在透明像素
+         * @returns {Object|null} - 颜色表，有颜色不在调色板中（例如半透明混合产生的新颜色）时返回 null
+         */
+        buildPaletteTable(counts, hasTransparentPixels) {
+            const paletteColors = this.palette.colors || [];
+            if (paletteColors.length === 0 || paletteColors.length > 256) {
+                return null;
+            }
+
+            const transparentIndex = this.palette.transparentIndex !== undefined ? this.palette.transparentIndex : -1;
+            const lookup = new Map();
+            paletteColors.forEach((color, index) => {
+                // 不透明像素不能映射到透明色索引
+                if (!color || index === transparentIndex) return;
+                const key = (color.red << 16) | (color.green << 8) | color.blue;
+                if (!lookup.has(key)) {
+                    lookup.set(key, index);
+                }
+            });
+
+            for (const key of counts.keys()) {
+                if (!lookup.has(key)) {
+                    return null;
+                }
+            }
+            if (hasTransparentPixels && (transparentIndex < 0 || transparentIndex >= paletteColors.length)) {
+                return null;
+            }
+
+            const colors = paletteColors.map(color => color || { red: 0, green: 0, blue: 0 });
+            const gifTransparentIndex = hasTransparentPixels ? transparentIndex : -1;
+            return {
+                colors,
+                transparentIndex: gifTransparentIndex,
+                indexImage: image => GifEncoder.indexImage(image, lookup, gifTransparentIndex)
+            };
+        }
+
+        /**
+         * 将 RGBA 图像转换为颜色索引
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像
+         * @param {Map} lookup - 颜色到索引的映射
+         * @param {number} transparentIndex - 透明色索引
+         * @returns {Uint8Array}
+         */
+        static indexImage(image, lookup, transparentIndex) {
+            const data = image.data;
+            const indices = new Uint8Array(image.width * image.height);
+            for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+                if (data[i + 3] < 128) {
+                    indices[p] = transparentIndex;
+                } else {
+                    indices[p] = lookup.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+                }
+            }
+            return indices;
+        }
+
+        /**
+         * 中位切分颜色量化
+         * @param {Map} counts - 颜色（0xRRGGBB）到像素数量的映射
+         * @param {number} maxColors - 最多颜色数
+         * @returns {Array} - 颜色数组 { red, green, blue }
+         */
+        static quantize(counts, maxColors) {
+            const entries = Array.from(counts, ([key, count]) => ({
+                rgb: [(key >> 16) & 0xFF, (key >> 8) & 0xFF, key & 0xFF],
+                count
+            }));
+            let boxes = [entries];
+
+            while (boxes.length < maxColors) {
+                // 选择颜色范围最大的盒子，沿最长的通道在像素数量的中位处切开
+                let best = null;
+                for (const box of boxes) {
+                    if (box.length < 2) continue;
+                    for (let channel = 0; channel < 3; channel++) {
+                        let min = 255;
+                        let max = 0;
+                        for (const entry of box) {
+                            min = Math.min(min, entry.rgb[channel]);
+                            max = Math.max(max, entry.rgb[channel]);
+                        }
+                        if (!best || max - min > best.range) {
+                            best = { box, channel, range: max - min };
+                        }
+                    }
+                }
+                if (!best) break;
+
+                const sorted = best.box.slice().sort((a, b) => a.rgb[best.channel] - b.rgb[best.channel]);
+                const total = sorted.reduce((sum, entry) => sum + entry.count, 0);
+                let split = 1;
+                for (let acc = 0; split < sorted.length - 1; split++) {
+                    acc += sorted[split - 1].count;
+                    if (acc >= total / 2) break;
+                }
+                boxes = boxes.filter(box => box !== best.box);
+                boxes.push(sorted.slice(0, split), sorted.slice(split));
+            }
+
+            // 每个盒子取按像素数量加权的平均颜色
+            return boxes.map(box => {
+                const sum = [0, 0, 0];
+                let total = 0;
+                for (const entry of box) {
+                    for (let channel = 0; channel < 3; channel++) {
+                        sum[channel] += entry.rgb[channel] * entry.count;
+                    }
+                    total += entry.count;
+                }
+                return {
+                    red: Math.round(sum[0] / total),
+                    green: Math.round(sum[1] / total),
+                    blue: Math.round(sum[2] / total)
+                };
+            });
+        }
+
+        /**
+         * 在颜色表中查找最接近的颜色
+         * @returns {number} - 颜色索引
+         */
+        static findNearestColor(colors, red, green, blue) {
+            let bestIndex = 0;
+            let bestDistance = Infinity;
+            colors.forEach((color, index) => {
+                const dr = color.red - red;
+                const dg = color.green - green;
+                const db = color.blue - blue;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    bestIndex = index;
+                }
+            });
+            return bestIndex;
+        }
+
+        /**
+         * GIF 变长 LZW 压缩
+         * @param {Uint8Array} indices - 颜色索引
+         * @param {number} minCodeSize - 最小编码位数
+         * @returns {Uint8Array} - 压缩后的数据（未分块）
+         */
+        static lzwEncode(indices, minCodeSize) {
+            const clearCode = 1 << minCodeSize;
+            const endCode = clearCode + 1;
+            const bytes = [];
+            let bitBuffer = 0;
+            let bitCount = 0;
+            const emit = (code, size) => {
+                bitBuffer |= code << bitCount;
+                bitCount += size;
+                while (bitCount >= 8) {
+                    bytes.push(bitBuffer & 0xFF);
+                    bitBuffer >>= 8;
+                    bitCount -= 8;
+                }
+            };
+
+            const dictionary = new Map();
+            let nextCode = endCode + 1;
+            let codeSize = minCodeSize + 1;
+            emit(clearCode, codeSize);
+
+            let prefix = indices[0];
+            for (let i = 1; i < indices.length; i++) {
+                const key = (prefix << 8) | indices[i];
+                const code = dictionary.get(key);
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                emit(prefix, codeSize);
+                if (nextCode === 4096) {
+                    // 编码表已满，发送清除码重新开始
+                    emit(clearCode, codeSize);
+                    dictionary.clear();
+                    nextCode = endCode + 1;
+                    codeSize = minCodeSize + 1;
+                } else {
+                    if (nextCode >= (1 << codeSize)) {
+                        codeSize++;
+                    }
+                    dictionary.set(key, nextCode++);
+                }
+                prefix = indices[i];
+            }
+
+            emit(prefix, codeSize);
+            emit(endCode, codeSize);
+            if (bitCount > 0) {
+                bytes.push(bitBuffer & 0xFF);
+            }
+            return Uint8Array.from(bytes);
+        }
+
+        /**
+         * 将数据拆分为 GIF 子块（每块最多 255 字节，以 0 结尾）
+         * @param {Uint8Array} data - 数据
+         * @returns {Uint8Array}
+         */
+        static toSubBlocks(data) {
+            const blockCount = Math.ceil(data.length / 255);
+            const result = new Uint8Array(data.length + blockCount + 1);
+            let offset = 0;
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.subarray(i, i + 255);
+                result[offset++] = block.length;
+                result.set(block, offset);
+                offset += block.length;
+            }
+            result[offset] = 0;
+            return result;
+        }
+    }
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GifEncoder;
+    } else {
+        window.GifEncoder = GifEncoder;
+    }
+})();
@@ -0,0 +1,190 @@
+/**
+ * PNG 编码器
+ * 将 RGBA 像素数组编码为 PNG 或动画 PNG（APNG，保留完整的 8 位 Alpha 通道），
+ * 使用 pako 压缩（Node 中没有 pako 时使用 zlib），不依赖 DOM
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    // CRC32 查找表
+    const CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        CRC_TABLE[n] = c >>> 0;
+    }
+
+    function deflate(data) {
+        if (typeof pako !== 'undefined') {
+            return pako.deflate(data);
+        }
+        return new Uint8Array(require('zlib').deflateSync(data));
+    }
+
+    class PngEncoder {
+        /**
+         * 编码 RGBA 图像
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像
+         * @returns {Uint8Array} - PNG 文件数据
+         */
+        static encode(image) {
+            return PngEncoder.concat([
+                Uint8Array.from(PNG_SIGNATURE),
+                PngEncoder.createChunk('IHDR', PngEncoder.createHeader(image.width, image.height)),
+                PngEncoder.createChunk('IDAT', PngEncoder.compressImage(image)),
+                PngEncoder.createChunk('IEND', new Uint8Array(0))
+            ]);
+        }
+
+        /**
+         * 编码动画 PNG（APNG），第一帧同时作为不支持 APNG 的查看器显示的默认图像
+         * @param {Array<{image: Object, duration: number}>} frames - 帧（尺寸需一致），duration 为毫秒
+         * @param {Object} options - 编码选项
+         * @param {number} options.loopCount - 播放次数，0 表示无限循环，默认 0
+         * @returns {Uint8Array} - APNG 文件数据
+         */
+        static encodeAnimation(frames, options = {}) {
+            if (frames.length === 0) {
+                throw new Error('没有可编码的帧');
+            }
+
+            const { width, height } = frames[0].image;
+            const actl = new Uint8Array(8);
+            const actlView = new DataView(actl.buffer);
+            actlView.setUint32(0, frames.length);
+            actlView.setUint32(4, options.loopCount || 0);
+
+            const parts = [
+                Uint8Array.from(PNG_SIGNATURE),
+                PngEncoder.createChunk('IHDR', PngEncoder.createHeader(width, height)),
+                PngEncoder.createChunk('acTL', actl)
+            ];
+
+            // fcTL 和 fdAT 共用一个递增的序列号
+            let sequence = 0;
+            frames.forEach((frame, index) => {
+                if (frame.image.width !== width || frame.image.height !== height) {
+                    throw new Error(`帧尺寸 ${frame.image.width}x${frame.image.height} 与 APNG 尺寸 ${width}x${height} 不一致`);
+                }
+
+                // 每帧都是完整画面：直接替换（APNG_BLEND_OP_SOURCE），播放后不清除（APNG_DISPOSE_OP_NONE）
+                const fctl = new Uint8Array(26);
+                const view = new DataView(fctl.buffer);
+                view.setUint32(0, sequence++);
+                view.setUint32(4, width);
+                view.setUint32(8, height);
+                view.setUint16(20, Math.min(0xFFFF, Math.max(0, Math.round(frame.duration || 100))));
+                view.setUint16(22, 1000); // 延迟单位为毫秒
+                parts.push(PngEncoder.createChunk('fcTL', fctl));
+
+                const data = PngEncoder.compressImage(frame.image);
+                if (index === 0) {
+                    parts.push(PngEncoder.createChunk('IDAT', data));
+                } else {
+                    const fdat = new Uint8Array(data.length + 4);
+                    new DataView(fdat.buffer).setUint32(0, sequence++);
+                    fdat.set(data, 4);
+                    parts.push(PngEncoder.createChunk('fdAT', fdat));
+                }
+            });
+
+            parts.push(PngEncoder.createChunk('IEND', new Uint8Array(0)));
+            return PngEncoder.concat(parts);
+        }
+
+        /**
+         * 生成 IHDR 数据（8 位 RGBA，无隔行扫描）
+         * @param {number} width - 图像宽度
+         * @param {number} height - 图像高度
+         * @returns {Uint8Array}
+         */
+        static createHeader(width, height) {
+            const header = new Uint8Array(13);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, width);
+            view.setUint32(4, height);
+            header[8] = 8; // 位深度
+            header[9] = 6; // 颜色类型：RGBA
+            return header;
+        }
+
+        /**
+         * 按扫描行添加过滤类型并压缩像素数据
+         * 每行使用 Sub 过滤（与左侧像素做差），对像素画中的大片同色区域压缩效果较好
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像
+         * @returns {Uint8Array} - zlib 压缩后的数据
+         */
+        static compressImage(image) {
+            const stride = image.width * 4;
+            const raw = new Uint8Array((stride + 1) * image.height);
+            for (let y = 0; y < image.height; y++) {
+                const rowStart = y * (stride + 1);
+                const srcStart = y * stride;
+                raw[rowStart] = 1; // Sub 过滤
+                for (let x = 0; x < stride; x++) {
+                    const left = x >= 4 ? image.data[srcStart + x - 4] : 0;
+                    raw[rowStart + 1 + x] = (image.data[srcStart + x] - left) & 0xFF;
+                }
+            }
+            return deflate(raw);
+        }
+
+        /**
+         * 生成 PNG 数据块（长度 + 类型 + 数据 + CRC）
+         * @param {string} type - 块类型（4 个字符）
+         * @param {Uint8Array} data - 块数据
+         * @returns {Uint8Array}
+         */
+        static createChunk(type, data) {
+            const chunk = new Uint8Array(data.length + 12);
+            const view = new DataView(chunk.buffer);
+            view.setUint32(0, data.length);
+            for (let i = 0; i < 4; i++) {
+                chunk[4 + i] = type.charCodeAt(i);
+            }
+            chunk.set(data, 8);
+            view.setUint32(data.length + 8, PngEncoder.crc32(chunk.subarray(4, data.length + 8)));
+            return chunk;
+        }
+
+        /**
+         * 计算 CRC32
+         * @param {Uint8Array} data - 数据
+         * @returns {number}
+         */
+        static crc32(data) {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < data.length; i++) {
+                crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+
+        /**
+         * 拼接多个字节数组
+         * @param {Array<Uint8Array>} parts - 字节数组
+         * @returns {Uint8Array}
+         */
+        static concat(parts) {
+            const total = parts.reduce((sum, part) => sum + part.length, 0);
+            const result = new Uint8Array(total);
+            let offset = 0;
+            for (const part of parts) {
+                result.set(part, offset);
+                offset += part.length;
+            }
+            return result;
+        }
+    }
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PngEncoder;
+    } else {
+        window.PngEncoder = PngEncoder;
+    }
+})();
@@ -0,0 +1,344 @@
+/**
+ * 精灵图集导出器
+ * 将帧图像排列为精灵图集，并生成与 Aseprite --sheet/--data 兼容的 JSON（hash 或 array 格式），
+ * 元数据直接读取 AseReader 文档模型，不依赖 DOM
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    // 播放方向在 JSON 中的名称
+    const DIRECTION_NAMES = {
+        'Forward': 'forward',
+        'Reverse': 'reverse',
+        'Ping-pong': 'pingpong',
+        'Ping-pong Reverse': 'pingpong_reverse'
+    };
+
+    // 混合模式在 JSON 中的名称，下标与文件格式中的 blendMode 取值一致
+    const BLEND_MODE_NAMES = [
+        'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+        'color_dodge', 'color_burn', 'hard_light', 'soft_light', 'difference', 'exclusion',
+        'hue', 'saturation', 'color', 'luminosity', 'addition', 'subtract', 'divide'
+    ];
+
+    const SHEET_TYPES = ['horizontal', 'vertical', 'grid', 'packed'];
+
+    function toHex(value) {
+        return value.toString(16).padStart(2, '0');
+    }
+
+    // 用户数据颜色转换为 #rrggbbaa
+    function userDataColorToHex(color) {
+        return `#${toHex(color.red)}${toHex(color.green)}${toHex(color.blue)}${toHex(color.alpha)}`;
+    }
+
+    // 将图像的指定区域复制到目标图像
+    function blit(source, sx, sy, w, h, target, dx, dy) {
+        for (let y = 0; y < h; y++) {
+            const srcStart = ((sy + y) * source.width + sx) * 4;
+            target.data.set(source.data.subarray(srcStart, srcStart + w * 4), ((dy + y) * target.width + dx) * 4);
+        }
+    }
+
+    class SpriteSheetExporter {
+        /**
+         * 生成精灵图集和 JSON 数据
+         * @param {Object} aseData - AseReader.read 返回的文档模型
+         * @param {Array} frames - 按帧顺序排列的帧 [{ frameIndex, duration, image }]，image 已按导出倍数放大
+         * @param {Object} options - 导出选项
+         * @param {string} options.sheetType - 排列方式：horizontal / vertical / grid / packed，默认 horizontal
+         * @param {number} options.columns - grid 排列的列数，省略时自动取接近正方形的列数
+         * @param {boolean} options.trim - 是否裁掉每帧四周的透明区域
+         * @param {number} options.borderPadding - 图集边缘留白（像素）
+         * @param {number} options.shapePadding - 帧之间的间距（像素）
+         * @param {string} options.format - JSON 格式：hash 或 array，默认 hash
+         * @param {string} options.imageName - 图集图片文件名（写入 meta.image）
+         * @param {number} options.scale - 帧图像的放大倍数（写入 meta.scale，并用于缩放切片坐标）
+         * @returns {{image: Object, json: Object}} - 图集 RGBA 图像和 JSON 对象
+         */
+        static exportSheet(aseData, frames, options = {}) {
+            if (frames.length === 0) {
+                throw new Error('没有可导出的帧');
+            }
+
+            const rects = frames.map(frame => SpriteSheetExporter.getSourceRect(frame.image, options.trim));
+            const layout = SpriteSheetExporter.layout(rects.map(rect => ({ w: rect.w, h: rect.h })), options);
+
+            const image = {
+                width: layout.width,
+                height: layout.height,
+                data: new Uint8ClampedArray(layout.width * layout.height * 4)
+            };
+            frames.forEach((frame, i) => {
+                const rect = rects[i];
+                blit(frame.image, rect.x, rect.y, rect.w, rect.h, image, layout.positions[i].x, layout.positions[i].y);
+            });
+
+            return {
+                image,
+                json: SpriteSheetExporter.buildJson(aseData, frames, rects, layout, options)
+            };
+        }
+
+        /**
+         * 获取帧在原图中的有效区域（开启裁切时为不透明像素的包围盒）
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - 帧图像
+         * @param {boolean} trim - 是否裁切透明区域
+         * @returns {{x: number, y: number, w: number, h: number}}
+         */
+        static getSourceRect(image, trim) {
+            if (!trim) {
+                return { x: 0, y: 0, w: image.width, h: image.height };
+            }
+
+            let minX = image.width;
+            let minY = image.height;
+            let maxX = -1;
+            let maxY = -1;
+            for (let y = 0; y < image.height; y++) {
+                for (let x = 0; x < image.width; x++) {
+                    if (image.data[(y * image.width + x) * 4 + 3] === 0) continue;
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+
+            // 完全透明的帧保留 1x1 像素，避免出现尺寸为 0 的帧
+            if (maxX === -1) {
+                return { x: 0, y: 0, w: 1, h: 1 };
+            }
+            return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+        }
+
+        /**
+         * 计算每帧在图集中的位置
+         * @param {Array<{w: number, h: number}>} sizes - 每帧的尺寸
+         * @param {Object} options - 导出选项（sheetType、columns、borderPadding、shapePadding）
+         * @returns {{positions: Array<{x: number, y: number}>, width: number, height: number}}
+         */
+        static layout(sizes, options = {}) {
+            const sheetType = SHEET_TYPES.includes(options.sheetType) ? options.sheetType : 'horizontal';
+            const border = Math.max(0, options.borderPadding || 0);
+            const spacing = Math.max(0, options.shapePadding || 0);
+
+            let positions;
+            if (sheetType === 'packed') {
+                positions = SpriteSheetExporter.packShelves(sizes, border, spacing);
+            } else if (sheetType === 'grid') {
+                // 网格排列使用统一的单元格尺寸
+                const columns = options.columns > 0 ? options.columns : Math.ceil(Math.sqrt(sizes.length));
+                const cellW = Math.max(...sizes.map(size => size.w));
+                const cellH = Math.max(...sizes.map(size => size.h));
+                positions = sizes.map((size, i) => ({
+                    x: border + (i % columns) * (cellW + spacing),
+                    y: border + Math.floor(i / columns) * (cellH + spacing)
+                }));
+            } else {
+                const horizontal = sheetType === 'horizontal';
+                let offset = border;
+                positions = sizes.map(size => {
+                    const position = horizontal ? { x: offset, y: border } : { x: border, y: offset };
+                    offset += (horizontal ? size.w : size.h) + spacing;
+                    return position;
+                });
+            }
+
+            const width = Math.max(...sizes.map((size, i) => positions[i].x + size.w)) + border;
+            const height = Math.max(...sizes.map((size, i) => positions[i].y + size.h)) + border;
+            return { positions, width, height };
+        }
+
+        /**
+         * 按行（货架）紧凑排列：从高到低依次放入，超出目标宽度时换行
+         * 目标宽度取所有帧面积之和的平方根，使图集接近正方形
+         * @returns {Array<{x: number, y: number}>}
+         */
+        static packShelves(sizes, border, spacing) {
+            const area = sizes.reduce((sum, size) => sum + (size.w + spacing) * (size.h + spacing), 0);
+            const maxWidth = Math.max(Math.ceil(Math.sqrt(area)), ...sizes.map(size => size.w));
+            const order = sizes.map((size, i) => i).sort((a, b) => sizes[b].h - sizes[a].h || a - b);
+
+            const positions = new Array(sizes.length);
+            let x = border;
+            let y = border;
+            let shelfHeight = 0;
+            for (const i of order) {
+                const size = sizes[i];
+                if (x > border && x - border + size.w > maxWidth) {
+                    x = border;
+                    y += shelfHeight + spacing;
+                    shelfHeight = 0;
+                }
+                positions[i] = { x, y };
+                x += size.w + spacing;
+                shelfHeight = Math.max(shelfHeight, size.h);
+            }
+            return positions;
+        }
+
+        /**
+         * 生成 Aseprite 格式的 JSON 数据
+         * @returns {Object}
+         */
+        static buildJson(aseData, frames, rects, layout, options) {
+            const scale = options.scale || 1;
+            const from = frames[0].frameIndex;
+            const to = frames[frames.length - 1].frameIndex;
+            const frameCount = aseData.numFrames || aseData.frames.length;
+            const title = (aseData.name || 'sprite').replace(/\.(aseprite|ase)$/i, '');
+            const extension = /\.ase$/i.test(aseData.name || '') ? 'ase' : 'aseprite';
+
+            const entries = frames.map((frame, i) => {
+                const rect = rects[i];
+                const position = layout.positions[i];
+                const { width, height } = frame.image;
+                return {
+                    // 与 Aseprite 默认的文件名格式一致：单帧精灵为 "{title}.{extension}"，多帧为 "{title} {frame}.{extension}"
+                    filename: frameCount > 1 ? `${title} ${frame.frameIndex}.${extension}` : `${title}.${extension}`,
+                    frame: { x: position.x, y: position.y, w: rect.w, h: rect.h },
+                    rotated: false,
+                    trimmed: rect.x !== 0 || rect.y !== 0 || rect.w !== width || rect.h !== height,
+                    spriteSourceSize: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+                    sourceSize: { w: width, h: height },
+                    duration: frame.duration
+                };
+            });
+
+            let jsonFrames;
+            if (options.format === 'array') {
+                jsonFrames = entries;
+            } else {
+                jsonFrames = {};
+                entries.forEach(({ filename, ...entry }) => {
+                    jsonFrames[filename] = entry;
+                });
+            }
+
+            return {
+                frames: jsonFrames,
+                meta: {
+                    // 部分导入工具通过 app 字段识别 Aseprite 格式
+                    app: 'https://www.aseprite.org/',
+                    version: 'ase-previewer-x',
+                    image: options.imageName || `${title}.png`,
+                    format: 'RGBA8888',
+                    size: { w: layout.width, h: layout.height },
+                    scale: String(scale),
+                    frameTags: SpriteSheetExporter.getFrameTags(aseData, from, to),
+                    layers: SpriteSheetExporter.getLayers(aseData),
+                    slices: SpriteSheetExporter.getSlices(aseData, from, to, scale)
+                }
+            };
+        }
+
+        /**
+         * 生成 meta.frameTags（只包含与导出范围重叠的标签，帧号相对于导出的第一帧）
+         * @returns {Array}
+         */
+        static getFrameTags(aseData, from, to) {
+            return (aseData.tags || [])
+                .filter(tag => tag.to >= from && tag.from <= to)
+                .map(tag => {
+                    const entry = {
+                        name: tag.name,
+                        from: Math.max(tag.from, from) - from,
+                        to: Math.min(tag.to, to) - from,
+                        direction: DIRECTION_NAMES[tag.animDirection] || 'forward'
+                    };
+                    // 标签颜色优先使用用户数据中的颜色（Aseprite 1.3 起标签颜色保存在用户数据中）
+                    if (tag.userData && tag.userData.color) {
+                        entry.color = userDataColorToHex(tag.userData.color);
+                    } else if (tag.color) {
+                        entry.color = `#${tag.color}ff`;
+                    }
+                    if (tag.repeat > 0) {
+                        entry.repeat = String(tag.repeat);
+                    }
+                    if (tag.userData && tag.userData.text) {
+                        entry.data = tag.userData.text;
+                    }
+                    return entry;
+                });
+        }
+
+        /**
+         * 生成 meta.layers（图层组只包含名称，子图层通过 group 字段指向所属的图层组）
+         * @returns {Array}
+         */
+        static getLayers(aseData) {
+            const layers = aseData.layers || [];
+            const stack = []; // 每个层级最近出现的图层
+            return layers.map(layer => {
+                const level = layer.layerChildLevel || 0;
+                stack[level] = layer;
+                stack.length = level + 1;
+
+                const entry = { name: layer.name };
+                if (level > 0 && stack[level - 1]) {
+                    entry.group = stack[level - 1].name;
+                }
+                if (layer.type !== 1) {
+                    entry.opacity = layer.opacity;
+                    entry.blendMode = BLEND_MODE_NAMES[layer.blendMode] || 'normal';
+                }
+                if (layer.userData && layer.userData.color) {
+                    entry.color = userDataColorToHex(layer.userData.color);
+                }
+                if (layer.userData && layer.userData.text) {
+                    entry.data = layer.userData.text;
+                }
+                return entry;
+            });
+        }
+
+        /**
+         * 生成 meta.slices（关键帧帧号相对于导出的第一帧，坐标按导出倍数缩放，与图集中的帧坐标一致）
+         * @returns {Array}
+         */
+        static getSlices(aseData, from, to, scale) {
+            const scaleRect = rect => ({ x: rect.x * scale, y: rect.y * scale, w: rect.width * scale, h: rect.height * scale });
+
+            return (aseData.slices || []).map(slice => {
+                const keys = (slice.keys || []).slice().sort((a, b) => a.frameNumber - b.frameNumber);
+                // 导出范围开始前最后一个关键帧在导出的第一帧仍然生效
+                const startKey = keys.filter(key => key.frameNumber <= from).pop();
+                const rangeKeys = keys.filter(key => key.frameNumber > from && key.frameNumber <= to);
+                const exportKeys = (startKey ? [{ ...startKey, frameNumber: from }] : []).concat(rangeKeys);
+                if (exportKeys.length === 0) {
+                    return null;
+                }
+
+                const entry = {
+                    name: slice.name,
+                    // 未设置颜色时使用 Aseprite 的默认切片颜色（蓝色）
+                    color: slice.userData && slice.userData.color ? userDataColorToHex(slice.userData.color) : '#0000ffff'
+                };
+                if (slice.userData && slice.userData.text) {
+                    entry.data = slice.userData.text;
+                }
+                entry.keys = exportKeys.map(key => {
+                    const jsonKey = { frame: key.frameNumber - from, bounds: scaleRect(key) };
+                    if (key.patch) {
+                        jsonKey.center = scaleRect(key.patch);
+                    }
+                    if (key.pivot) {
+                        jsonKey.pivot = { x: key.pivot.x * scale, y: key.pivot.y * scale };
+                    }
+                    return jsonKey;
+                });
+                return entry;
+            }).filter(Boolean);
+        }
+    }
+
+    SpriteSheetExporter.SHEET_TYPES = SHEET_TYPES;
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SpriteSheetExporter;
+    } else {
+        window.SpriteSheetExporter = SpriteSheetExporter;
+    }
+})();
@@ -1,64 +1,77 @@
 /**
  * 统一文件监听管理器
- * 解决重复监听问题，提供单一监听入口
+ * 解决重复监听问题，提供单一监听入口；可以同时监听多个文件，每个文件只保留一个监听器
+ *
+ * 服务器监听的变化通过 SSE（/api/file-events）推送，本地文件的变化由 FileManager 轮询，都转发为本对象上的事件：
+ *   fileChanged、stateChanged、fileRenamed、watchError，detail 与 Electron IPC 事件的数据相同
  */
 class UnifiedFileMonitor extends EventTarget {
   constructor() {
     super();
-    this.activeMonitors = new Map(); // 存储活跃的监听器
+    this.activeMonitors = new Map(); // 文件路径 -> 活跃的监听器
     this.monitorTypes = {
       ELECTRON: 'electron',
       SERVER: 'server', 
       POLLING: 'polling'
     };
-    this.currentType = null;
-    this.currentFilePath = null;
+    this.currentType = null; // 最近启动的监听类型
+    this.currentFilePath = null; // 最近开始监听的文件
+    this.eventSource = null; // 服务器事件连接，有服务器监听时才打开
+    this.serverClientId = null; // 服务器为事件连接分配的客户端 ID，开始/停止监听和读取文件时带上
+    this.serverConnected = null; // 等待服务器分配客户端 ID 的 Promise，断线后重新创建
+    this.resolveServerConnected = null;
+    this.pollingEventsConnected = false; // 是否已订阅文件管理器的轮询事件
   }
 
   /**
    * 开始监听文件
    * @param {string} filePath - 文件路径
    * @param {string} preferredType - 首选监听类型
+   * @returns {Promise<Object>} - 监听器信息 { type, filePath, startTime }；服务器监听的 filePath 为服务器解析后的绝对路径
    */
   async startWatching(filePath, preferredType = null) {
     try {
       console.log(`🔄 统一文件监听管理器 - 开始监听: ${filePath}`);
       
-      // 停止现有监听
-      await this.stopAllWatching();
+      // 只停止该文件已有的监听，其它文件的监听保持运行
+      if (this.activeMonitors.has(filePath)) {
+        await this.stopWatching(filePath);
+      }
       
       // 确定监听类型
       const monitorType = this.determineMonitorType(preferredType);
       console.log(`📊 选择监听类型: ${monitorType}`);
       
       // 启动对应类型的监听
+      let monitor;
       switch (monitorType) {
         case this.monitorTypes.ELECTRON:
-          await this.startElectronWatching(filePath);
+          monitor = await this.startElectronWatching(filePath);
           break;
         case this.monitorTypes.SERVER:
-          await this.startServerWatching(filePath);
+          monitor = await this.startServerWatching(filePath);
           break;
         case this.monitorTypes.POLLING:
-          await this.startPollingWatching(filePath);
+          monitor = await this.startPollingWatching(filePath);
           break;
         default:
           throw new Error(`不支持的监听类型: ${monitorType}`);
       }
       
       this.currentType = monitorType;
-      this.currentFilePath = filePath;
+      this.currentFilePath = monitor.filePath;
       
       // 触发监听启动事件
       this.dispatchEvent(new CustomEvent('monitorStarted', {
         detail: {
           type: monitorType,
-          filePath: filePath,
+          filePath: monitor.filePath,
           timestamp: new Date().toISOString()
         }
       }));
       
-      console.log(`✅ 统一监听已启动: ${monitorType} -> ${filePath}`);
+      console.log(`✅ 统一监听已启动: ${monitorType} -> ${monitor.filePath}`);
+      return monitor;
       
     } catch (error) {
       console.error('❌ 统一监听启动失败:', error);
@@ -136,11 +149,13 @@ class UnifiedFileMonitor extends EventTarget {
       throw new Error(result.error);
     }
     
-    this.activeMonitors.set('electron', {
+    const monitor = {
       type: 'electron',
       filePath: filePath,
       startTime: Date.now()
-    });
+    };
+    this.activeMonitors.set(filePath, monitor);
+    return monitor;
   }
 
   /**
@@ -149,28 +164,185 @@ class UnifiedFileMonitor extends EventTarget {
   async startServerWatching(filePath) {
     console.log('🖥️ 启动服务器文件监听');
     
+    // 服务器按事件连接记录监听，先连接并拿到客户端 ID
+    this.connectServerEvents();
+    let clientId;
+    try {
+      clientId = await this.waitForServerClientId();
+    } catch (error) {
+      this.disconnectServerEvents();
+      throw error;
+    }
+    
     // 通过服务器 API 启动监听
     const response = await fetch('/api/start-file-watch', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ filePath })
+      body: JSON.stringify({ filePath, clientId })
     });
     
     const result = await response.json();
     
     if (!result.success) {
+      this.disconnectServerEvents();
       throw new Error(result.error);
     }
     
-    this.activeMonitors.set('server', {
+    // 服务器推送的事件使用解析后的绝对路径
+    const monitor = {
       type: 'server',
-      filePath: filePath,
+      filePath: result.filePath,
       startTime: Date.now()
+    };
+    this.activeMonitors.set(result.filePath, monitor);
+    return monitor;
+  }
+
+  /**
+   * 连接服务器事件流，把推送的事件转发为本对象上的事件
+   */
+  connectServerEvents() {
+    if (this.eventSource) return;
+    this.resetServerConnection();
+    
+    const forward = {
+      'file-changed': 'fileChanged',
+      'file-watch-state': 'stateChanged',
+      'file-renamed': 'fileRenamed',
+      'file-watch-error': 'watchError'
+    };
+    
+    this.eventSource = new EventSource('/api/file-events');
+    Object.entries(forward).forEach(([serverEvent, eventName]) => {
+      this.eventSource.addEventListener(serverEvent, (e) => {
+        const detail = JSON.parse(e.data);
+        
+        // 文件被重命名后，监听器改用新路径
+        if (eventName === 'fileRenamed' && this.activeMonitors.has(detail.oldPath)) {
+          const monitor = this.activeMonitors.get(detail.oldPath);
+          this.activeMonitors.delete(detail.oldPath);
+          monitor.filePath = detail.filePath;
+          this.activeMonitors.set(detail.filePath, monitor);
+        }
+        
+        // 只转发本页面监听的文件（其它页面也可能通过同一服务器监听文件）
+        if (this.activeMonitors.has(detail.filePath)) {
+          this.dispatchEvent(new CustomEvent(eventName, { detail }));
+        }
+      });
+    });
+    
+    // EventSource 断线后会自动重连，重连前通知页面监听已中断
+    this.eventSource.onerror = () => {
+      console.warn('⚠️ 服务器事件连接中断，正在重连...');
+      // 服务器在连接关闭时已释放本页面的监听，重连后使用新的客户端 ID
+      if (this.serverClientId !== null) {
+        this.resetServerConnection();
+      }
+      this.activeMonitors.forEach(monitor => {
+        if (monitor.type !== this.monitorTypes.SERVER) return;
+        this.dispatchEvent(new CustomEvent('stateChanged', {
+          detail: {
+            state: 'stopped',
+            message: '与服务器的连接已断开',
+            filePath: monitor.filePath,
+            timestamp: new Date().toISOString()
+          }
+        }));
+      });
+    };
+    this.eventSource.addEventListener('connected', (e) => {
+      const { clientId } = JSON.parse(e.data);
+      this.serverClientId = clientId;
+      this.resolveServerConnected(clientId);
+      
+      // 断线重连后服务器已释放旧连接的监听，用新的客户端 ID 重新为本页面的文件开始监听
+      this.activeMonitors.forEach(monitor => {
+        if (monitor.type !== this.monitorTypes.SERVER) return;
+        fetch('/api/start-file-watch', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ filePath: monitor.filePath, clientId })
+        })
+          .then(response => response.json())
+          .then(result => {
+            this.dispatchEvent(new CustomEvent('stateChanged', {
+              detail: {
+                state: result.success ? 'watching' : 'stopped',
+                message: result.success ? '已连接服务器' : result.error,
+                filePath: monitor.filePath,
+                timestamp: new Date().toISOString()
+              }
+            }));
+          })
+          .catch(error => console.error('❌ 重新开始服务器监听失败:', error));
+      });
+    });
+  }
+
+  /**
+   * 重新创建等待客户端 ID 的 Promise（连接或断线时）
+   */
+  resetServerConnection() {
+    this.serverClientId = null;
+    this.serverConnected = new Promise(resolve => {
+      this.resolveServerConnected = resolve;
     });
   }
 
+  /**
+   * 等待服务器分配客户端 ID
+   * @param {number} timeout - 超时时间（毫秒）
+   * @returns {Promise<string>}
+   */
+  async waitForServerClientId(timeout = 5000) {
+    if (this.serverClientId !== null) {
+      return this.serverClientId;
+    }
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('无法连接服务器事件流')), timeout);
+    });
+    try {
+      return await Promise.race([this.serverConnected, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 没有服务器监听时关闭事件连接（服务器随之释放本页面的所有监听）
+   */
+  disconnectServerEvents() {
+    const hasServerMonitor = Array.from(this.activeMonitors.values()).some(monitor => monitor.type === this.monitorTypes.SERVER);
+    if (this.eventSource && !hasServerMonitor) {
+      this.eventSource.close();
+      this.eventSource = null;
+      this.serverClientId = null;
+      this.serverConnected = null;
+      this.resolveServerConnected = null;
+    }
+  }
+
+  /**
+   * 从服务器读取正在监听的文件内容
+   * @param {string} filePath - 服务器上的文件路径
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async readServerFile(filePath) {
+    const clientId = await this.waitForServerClientId();
+    const response = await fetch(`/api/file?path=${encodeURIComponent(filePath)}&clientId=${encodeURIComponent(clientId)}`, { cache: 'no-store' });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `读取文件失败: HTTP ${response.status}`);
+    }
+    return response.arrayBuffer();
+  }
+
   /**
    * 启动轮询监听
    */
@@ -179,18 +351,75 @@ class UnifiedFileMonitor extends EventTarget {
     
     // 启动轮询监控
     if (window.fileManager && typeof window.fileManager.startPollingMonitor === 'function') {
-      window.fileManager.startPollingMonitor(filePath);
+      this.connectPollingEvents();
       
-      this.activeMonitors.set('polling', {
+      const monitor = {
         type: 'polling',
         filePath: filePath,
         startTime: Date.now()
-      });
+      };
+      this.activeMonitors.set(filePath, monitor);
+      window.fileManager.startPollingMonitor(filePath);
+      return monitor;
     } else {
       throw new Error('文件管理器不可用');
     }
   }
 
+  /**
+   * 转发文件管理器的轮询事件（只订阅一次）
+   */
+  connectPollingEvents() {
+    if (this.pollingEventsConnected) return;
+    this.pollingEventsConnected = true;
+    
+    ['fileChanged', 'stateChanged'].forEach(eventName => {
+      window.fileManager.addEventListener(eventName, (e) => {
+        if (this.activeMonitors.has(e.detail.filePath)) {
+          this.dispatchEvent(new CustomEvent(eventName, { detail: e.detail }));
+        }
+      });
+    });
+  }
+
+  /**
+   * 读取正在监听的文件内容（服务器文件通过接口读取，本地文件通过文件句柄读取）
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<ArrayBuffer>}
+   */
+  async readFile(filePath) {
+    const monitor = this.activeMonitors.get(filePath);
+    if (monitor && monitor.type === this.monitorTypes.POLLING) {
+      return window.fileManager.readFile(filePath);
+    }
+    return this.readServerFile(filePath);
+  }
+
+  /**
+   * 停止单个文件的监听
+   * @param {string} filePath - 文件路径
+   */
+  async stopWatching(filePath) {
+    const monitor = this.activeMonitors.get(filePath);
+    if (!monitor) return;
+    
+    await this.stopSpecificWatching(filePath, monitor);
+    this.activeMonitors.delete(filePath);
+    this.disconnectServerEvents();
+    if (this.currentFilePath === filePath) {
+      this.currentType = null;
+      this.currentFilePath = null;
+    }
+    
+    // 触发监听停止事件
+    this.dispatchEvent(new CustomEvent('monitorStopped', {
+      detail: {
+        filePath: filePath,
+        timestamp: new Date().toISOString()
+      }
+    }));
+  }
+
   /**
    * 停止所有监听
    */
@@ -199,13 +428,14 @@ class UnifiedFileMonitor extends EventTarget {
     
     const stopPromises = [];
     
-    for (const [key, monitor] of this.activeMonitors) {
-      stopPromises.push(this.stopSpecificWatching(key, monitor));
+    for (const [filePath, monitor] of this.activeMonitors) {
+      stopPromises.push(this.stopSpecificWatching(filePath, monitor));
     }
     
     await Promise.allSettled(stopPromises);
     
     this.activeMonitors.clear();
+    this.disconnectServerEvents();
     this.currentType = null;
     this.currentFilePath = null;
     
@@ -220,27 +450,36 @@ class UnifiedFileMonitor extends EventTarget {
   }
 
   /**
-   * 停止特定类型的监听
+   * 停止特定文件的监听
    */
-  async stopSpecificWatching(key, monitor) {
+  async stopSpecificWatching(filePath, monitor) {
     try {
       switch (monitor.type) {
         case this.monitorTypes.ELECTRON:
           if (window.electronAPI) {
-            await window.electronAPI.stopFileWatch();
+            await window.electronAPI.stopFileWatch(filePath);
           }
           break;
         case this.monitorTypes.SERVER:
-          await fetch('/api/stop-file-watch', { method: 'POST' });
+          // 事件连接已断开时服务器已经释放了监听
+          if (this.serverClientId !== null) {
+            await fetch('/api/stop-file-watch', {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify({ filePath, clientId: this.serverClientId })
+            });
+          }
           break;
         case this.monitorTypes.POLLING:
           if (window.fileManager) {
-            window.fileManager.stopPollingMonitor();
+            window.fileManager.stopPollingMonitor(filePath);
           }
           break;
       }
       
-      console.log(`✅ ${monitor.type} 监听已停止`);
+      console.log(`✅ ${monitor.type} 监听已停止: ${filePath}`);
       
     } catch (error) {
       console.error(`❌ 停止 ${monitor.type} 监听失败:`, error);
@@ -260,25 +499,28 @@ class UnifiedFileMonitor extends EventTarget {
   }
 
   /**
-   * 检查是否有重复监听
+   * 检查是否有重复监听（同一文件存在多个监听器）
    */
   hasDuplicateMonitoring() {
-    return this.activeMonitors.size > 1;
+    const filePaths = Array.from(this.activeMonitors.values()).map(monitor => monitor.filePath);
+    return new Set(filePaths).size !== filePaths.length;
   }
 
   /**
-   * 切换监听类型
+   * 切换文件的监听类型
+   * @param {string} newType - 新的监听类型
+   * @param {string} filePath - 文件路径，默认为最近开始监听的文件
    */
-  async switchMonitorType(newType) {
-    if (!this.currentFilePath) {
+  async switchMonitorType(newType, filePath = this.currentFilePath) {
+    const monitor = this.activeMonitors.get(filePath);
+    if (!monitor) {
       throw new Error('没有正在监听的文件');
     }
     
-    console.log(`🔄 切换监听类型: ${this.currentType} -> ${newType}`);
+    console.log(`🔄 切换监听类型: ${monitor.type} -> ${newType} (${filePath})`);
     
-    const currentFilePath = this.currentFilePath;
-    await this.stopAllWatching();
-    await this.startWatching(currentFilePath, newType);
+    await this.stopWatching(filePath);
+    await this.startWatching(filePath, newType);
   }
 }
 
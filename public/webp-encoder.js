@@ -0,0 +1,461 @@
+/**
+ * 动画 WebP 编码器
+ * 纯 JavaScript 实现的无损（VP8L）编码，保留完整的 8 位 Alpha 通道，只操作 RGBA 像素数组，
+ * 不依赖 DOM，可同时在浏览器和 Node 中使用
+ */
+
+// 辅助函数放在闭包内，避免污染浏览器全局作用域
+(function () {
+    const VP8L_SIGNATURE = 0x2F;
+    const VP8L_MAX_SIZE = 16384;
+    const MAX_COPY_LENGTH = 4096;
+    const MIN_COPY_LENGTH = 3;
+
+    // 字母表大小：绿色（含 24 个长度前缀码，不使用颜色缓存）、红、蓝、Alpha、距离
+    const GREEN_ALPHABET_SIZE = 256 + 24;
+    const DISTANCE_ALPHABET_SIZE = 40;
+
+    // 距离码在二维邻域表中的编号：1 为正上方像素，2 为左侧像素
+    const DISTANCE_CODE_ABOVE = 1;
+    const DISTANCE_CODE_LEFT = 2;
+
+    // 码长码的写入顺序
+    const CODE_LENGTH_CODE_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+    // 按 LSB 优先顺序写入比特
+    class BitWriter {
+        constructor() {
+            this.bytes = new Uint8Array(4096);
+            this.length = 0;
+            this.bitBuffer = 0;
+            this.bitCount = 0;
+        }
+
+        // 每次最多写入 16 位
+        writeBits(value, count) {
+            this.bitBuffer |= value << this.bitCount;
+            this.bitCount += count;
+            while (this.bitCount >= 8) {
+                this.pushByte(this.bitBuffer & 0xFF);
+                this.bitBuffer >>>= 8;
+                this.bitCount -= 8;
+            }
+        }
+
+        pushByte(byte) {
+            if (this.length === this.bytes.length) {
+                const grown = new Uint8Array(this.bytes.length * 2);
+                grown.set(this.bytes);
+                this.bytes = grown;
+            }
+            this.bytes[this.length++] = byte;
+        }
+
+        finish() {
+            if (this.bitCount > 0) {
+                this.pushByte(this.bitBuffer & 0xFF);
+                this.bitBuffer = 0;
+                this.bitCount = 0;
+            }
+            return this.bytes.slice(0, this.length);
+        }
+    }
+
+    function reverseBits(code, length) {
+        let result = 0;
+        for (let i = 0; i < length; i++) {
+            result = (result << 1) | ((code >> i) & 1);
+        }
+        return result;
+    }
+
+    // 根据符号出现次数计算哈夫曼码长
+    function huffmanLengths(counts) {
+        let queue = [];
+        counts.forEach((count, symbol) => {
+            if (count > 0) queue.push({ weight: count, symbol });
+        });
+        while (queue.length > 1) {
+            queue.sort((a, b) => a.weight - b.weight);
+            const a = queue.shift();
+            const b = queue.shift();
+            queue.push({ weight: a.weight + b.weight, children: [a, b] });
+        }
+
+        const lengths = new Array(counts.length).fill(0);
+        const walk = (node, depth) => {
+            if (node.children) {
+                node.children.forEach(child => walk(child, depth + 1));
+            } else {
+                lengths[node.symbol] = depth;
+            }
+        };
+        walk(queue[0], 0);
+        return lengths;
+    }
+
+    // 计算不超过最大码长的哈夫曼码长：超出时逐步抬高低频符号的次数，使树更平衡
+    function limitedHuffmanLengths(counts, maxLength) {
+        let adjusted = counts;
+        for (let minCount = 2; ; minCount *= 2) {
+            const lengths = huffmanLengths(adjusted);
+            if (Math.max(...lengths) <= maxLength) {
+                return lengths;
+            }
+            adjusted = counts.map(count => (count > 0 ? Math.max(count, minCount) : 0));
+        }
+    }
+
+    // 由码长生成规范哈夫曼码（已反转为 LSB 优先的写入顺序）
+    function canonicalCodes(lengths) {
+        const maxLength = Math.max(...lengths);
+        const lengthCounts = new Array(maxLength + 1).fill(0);
+        lengths.forEach(length => {
+            if (length > 0) lengthCounts[length]++;
+        });
+
+        const nextCode = new Array(maxLength + 1).fill(0);
+        let code = 0;
+        for (let bits = 1; bits <= maxLength; bits++) {
+            code = (code + lengthCounts[bits - 1]) << 1;
+            nextCode[bits] = code;
+        }
+        return lengths.map(length => (length > 0 ? reverseBits(nextCode[length]++, length) : 0));
+    }
+
+    /**
+     * 根据符号出现次数生成前缀码
+     * 只用到一个 8 位以内的符号时使用简单码（读取时不消耗比特）；
+     * 只用到一个较大的符号时补一个占位符号，保证哈夫曼树完整
+     */
+    function createPrefixCode(counts, maxLength) {
+        const used = [];
+        counts.forEach((count, symbol) => {
+            if (count > 0) used.push(symbol);
+        });
+
+        if (used.length <= 1 && (used.length === 0 || used[0] < 256)) {
+            const symbol = used.length === 0 ? 0 : used[0];
+            return {
+                simpleSymbols: [symbol],
+                lengths: new Array(counts.length).fill(0),
+                codes: new Array(counts.length).fill(0)
+            };
+        }
+
+        const adjusted = counts.slice();
+        if (used.length === 1) {
+            adjusted[used[0] === 0 ? 1 : 0] = 1;
+        }
+        const lengths = limitedHuffmanLengths(adjusted, maxLength);
+        const code = { lengths, codes: canonicalCodes(lengths) };
+        if (used.length === 2 && used[1] < 256) {
+            code.simpleSymbols = used;
+        }
+        return code;
+    }
+
+    function writeSymbol(writer, code, symbol) {
+        const length = code.lengths[symbol];
+        if (length > 0) {
+            writer.writeBits(code.codes[symbol], length);
+        }
+    }
+
+    // 写入前缀码的定义（简单码或按码长码压缩的普通码）
+    function writePrefixCode(writer, code) {
+        if (code.simpleSymbols) {
+            const symbols = code.simpleSymbols;
+            writer.writeBits(1, 1);
+            writer.writeBits(symbols.length - 1, 1);
+            if (symbols[0] < 2) {
+                writer.writeBits(0, 1);
+                writer.writeBits(symbols[0], 1);
+            } else {
+                writer.writeBits(1, 1);
+                writer.writeBits(symbols[0], 8);
+            }
+            if (symbols.length === 2) {
+                writer.writeBits(symbols[1], 8);
+            }
+            return;
+        }
+
+        // 码长序列：连续的 0 用 17（3-10 个）和 18（11-138 个）表示
+        const tokens = [];
+        const lengths = code.lengths;
+        for (let i = 0; i < lengths.length;) {
+            if (lengths[i] !== 0) {
+                tokens.push({ symbol: lengths[i] });
+                i++;
+                continue;
+            }
+            let run = 0;
+            while (i + run < lengths.length && lengths[i + run] === 0) run++;
+            i += run;
+            while (run > 0) {
+                if (run >= 11) {
+                    const n = Math.min(run, 138);
+                    tokens.push({ symbol: 18, extraBits: 7, extra: n - 11 });
+                    run -= n;
+                } else if (run >= 3) {
+                    tokens.push({ symbol: 17, extraBits: 3, extra: run - 3 });
+                    run = 0;
+                } else {
+                    tokens.push({ symbol: 0 });
+                    run--;
+                }
+            }
+        }
+
+        const tokenCounts = new Array(CODE_LENGTH_CODE_ORDER.length).fill(0);
+        tokens.forEach(token => tokenCounts[token.symbol]++);
+        const used = tokenCounts.filter(count => count > 0).length;
+        if (used === 1) {
+            tokenCounts[tokens[0].symbol === 0 ? 1 : 0] = 1;
+        }
+        const lengthLengths = limitedHuffmanLengths(tokenCounts, 7);
+        const lengthCode = { lengths: lengthLengths, codes: canonicalCodes(lengthLengths) };
+
+        let numCodes = CODE_LENGTH_CODE_ORDER.length;
+        while (numCodes > 4 && lengthLengths[CODE_LENGTH_CODE_ORDER[numCodes - 1]] === 0) numCodes--;
+
+        writer.writeBits(0, 1);
+        writer.writeBits(numCodes - 4, 4);
+        for (let i = 0; i < numCodes; i++) {
+            writer.writeBits(lengthLengths[CODE_LENGTH_CODE_ORDER[i]], 3);
+        }
+        writer.writeBits(0, 1); // 码长覆盖整个字母表
+        tokens.forEach(token => {
+            writeSymbol(writer, lengthCode, token.symbol);
+            if (token.extraBits) {
+                writer.writeBits(token.extra, token.extraBits);
+            }
+        });
+    }
+
+    // 长度和距离的前缀编码：返回 { prefix, extraBits, extra }
+    function prefixEncode(value) {
+        const n = value - 1;
+        if (n < 4) {
+            return { prefix: n, extraBits: 0, extra: 0 };
+        }
+        const highBit = 31 - Math.clz32(n);
+        const secondBit = (n >> (highBit - 1)) & 1;
+        const extraBits = highBit - 1;
+        return { prefix: 2 * highBit + secondBit, extraBits, extra: n & ((1 << extraBits) - 1) };
+    }
+
+    function writeChunk(parts, type, data) {
+        const header = new Uint8Array(8);
+        for (let i = 0; i < 4; i++) {
+            header[i] = type.charCodeAt(i);
+        }
+        new DataView(header.buffer).setUint32(4, data.length, true);
+        parts.push(header, data);
+        // 块数据长度为奇数时补齐一个字节
+        if (data.length % 2 === 1) {
+            parts.push(new Uint8Array(1));
+        }
+    }
+
+    function setUint24(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >> 8) & 0xFF;
+        bytes[offset + 2] = (value >> 16) & 0xFF;
+    }
+
+    function concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+
+    class WebpEncoder {
+        /**
+         * @param {number} width - 图像宽度
+         * @param {number} height - 图像高度
+         * @param {Object} options - 编码选项
+         * @param {number} options.loopCount - 播放次数，0 表示无限循环，默认 0
+         */
+        constructor(width, height, options = {}) {
+            if (width > VP8L_MAX_SIZE || height > VP8L_MAX_SIZE) {
+                throw new Error(`WebP 图像尺寸不能超过 ${VP8L_MAX_SIZE}x${VP8L_MAX_SIZE}`);
+            }
+            this.width = width;
+            this.height = height;
+            this.loopCount = options.loopCount || 0;
+            this.frames = [];
+        }
+
+        /**
+         * 添加一帧
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像（尺寸需与编码器一致）
+         * @param {number} duration - 帧持续时间（毫秒）
+         */
+        addFrame(image, duration) {
+            if (image.width !== this.width || image.height !== this.height) {
+                throw new Error(`帧尺寸 ${image.width}x${image.height} 与 WebP 尺寸 ${this.width}x${this.height} 不一致`);
+            }
+            this.frames.push({ image, duration });
+        }
+
+        /**
+         * 编码为动画 WebP（VP8X + ANIM + 每帧一个 ANMF）
+         * @returns {Uint8Array} - WebP 文件数据
+         */
+        encode() {
+            if (this.frames.length === 0) {
+                throw new Error('没有可编码的帧');
+            }
+
+            const hasAlpha = this.frames.some(frame => WebpEncoder.hasAlpha(frame.image));
+            const chunks = [];
+
+            // VP8X：动画（0x02），有透明像素时标记 Alpha（0x10）
+            const vp8x = new Uint8Array(10);
+            vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0);
+            setUint24(vp8x, 4, this.width - 1);
+            setUint24(vp8x, 7, this.height - 1);
+            writeChunk(chunks, 'VP8X', vp8x);
+
+            // ANIM：背景色（透明）和循环次数
+            const anim = new Uint8Array(6);
+            new DataView(anim.buffer).setUint16(4, Math.min(0xFFFF, this.loopCount), true);
+            writeChunk(chunks, 'ANIM', anim);
+
+            for (const frame of this.frames) {
+                const frameParts = [];
+                const header = new Uint8Array(16);
+                setUint24(header, 6, this.width - 1);
+                setUint24(header, 9, this.height - 1);
+                setUint24(header, 12, Math.min(0xFFFFFF, Math.max(0, Math.round(frame.duration || 100))));
+                // 每帧都是完整画面，直接覆盖上一帧（不混合、不清除）
+                header[15] = 0x02;
+                frameParts.push(header);
+                writeChunk(frameParts, 'VP8L', WebpEncoder.encodeLossless(frame.image));
+                writeChunk(chunks, 'ANMF', concatBytes(frameParts));
+            }
+
+            const body = concatBytes(chunks);
+            const riff = new Uint8Array(12);
+            riff.set([0x52, 0x49, 0x46, 0x46]); // RIFF
+            new DataView(riff.buffer).setUint32(4, body.length + 4, true);
+            riff.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+            return concatBytes([riff, body]);
+        }
+
+        /**
+         * 检查图像是否包含非完全不透明的像素
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像
+         * @returns {boolean}
+         */
+        static hasAlpha(image) {
+            for (let i = 3; i < image.data.length; i += 4) {
+                if (image.data[i] !== 255) return true;
+            }
+            return false;
+        }
+
+        /**
+         * 将 RGBA 图像编码为 VP8L 无损码流
+         * 不使用变换和颜色缓存；重复左侧像素或上一行的连续像素用反向引用表示，适合像素画中的大片同色区域
+         * @param {{width: number, height: number, data: Uint8ClampedArray}} image - RGBA 图像
+         * @returns {Uint8Array} - VP8L 码流（不含块头）
+         */
+        static encodeLossless(image) {
+            const { width, height } = image;
+            const data = image.data;
+            const pixelCount = width * height;
+            const pixels = new Uint32Array(pixelCount);
+            for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+                pixels[p] = ((data[i + 3] << 24) | (data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) >>> 0;
+            }
+
+            // 生成符号序列（字面像素或反向引用）并统计各字母表的符号次数
+            const greenCounts = new Array(GREEN_ALPHABET_SIZE).fill(0);
+            const redCounts = new Array(256).fill(0);
+            const blueCounts = new Array(256).fill(0);
+            const alphaCounts = new Array(256).fill(0);
+            const distanceCounts = new Array(DISTANCE_ALPHABET_SIZE).fill(0);
+            const tokens = [];
+
+            for (let p = 0; p < pixelCount;) {
+                let leftRun = 0;
+                if (p >= 1) {
+                    while (p + leftRun < pixelCount && leftRun < MAX_COPY_LENGTH &&
+                        pixels[p + leftRun] === pixels[p + leftRun - 1]) leftRun++;
+                }
+                let aboveRun = 0;
+                if (p >= width) {
+                    while (p + aboveRun < pixelCount && aboveRun < MAX_COPY_LENGTH &&
+                        pixels[p + aboveRun] === pixels[p + aboveRun - width]) aboveRun++;
+                }
+
+                const length = Math.max(leftRun, aboveRun);
+                if (length >= MIN_COPY_LENGTH) {
+                    const lengthCode = prefixEncode(length);
+                    const distanceCode = prefixEncode(aboveRun >= leftRun ? DISTANCE_CODE_ABOVE : DISTANCE_CODE_LEFT);
+                    greenCounts[256 + lengthCode.prefix]++;
+                    distanceCounts[distanceCode.prefix]++;
+                    tokens.push({ length: lengthCode, distance: distanceCode });
+                    p += length;
+                } else {
+                    const argb = pixels[p];
+                    greenCounts[(argb >>> 8) & 0xFF]++;
+                    redCounts[(argb >>> 16) & 0xFF]++;
+                    blueCounts[argb & 0xFF]++;
+                    alphaCounts[argb >>> 24]++;
+                    tokens.push({ argb });
+                    p++;
+                }
+            }
+
+            const green = createPrefixCode(greenCounts, 15);
+            const red = createPrefixCode(redCounts, 15);
+            const blue = createPrefixCode(blueCounts, 15);
+            const alpha = createPrefixCode(alphaCounts, 15);
+            const distance = createPrefixCode(distanceCounts, 15);
+
+            const writer = new BitWriter();
+            writer.writeBits(VP8L_SIGNATURE, 8);
+            writer.writeBits(width - 1, 14);
+            writer.writeBits(height - 1, 14);
+            writer.writeBits(WebpEncoder.hasAlpha(image) ? 1 : 0, 1);
+            writer.writeBits(0, 3); // 版本号
+            writer.writeBits(0, 1); // 不使用变换
+            writer.writeBits(0, 1); // 不使用颜色缓存
+            writer.writeBits(0, 1); // 整幅图像使用同一组前缀码
+            [green, red, blue, alpha, distance].forEach(code => writePrefixCode(writer, code));
+
+            for (const token of tokens) {
+                if (token.argb !== undefined) {
+                    const argb = token.argb;
+                    writeSymbol(writer, green, (argb >>> 8) & 0xFF);
+                    writeSymbol(writer, red, (argb >>> 16) & 0xFF);
+                    writeSymbol(writer, blue, argb & 0xFF);
+                    writeSymbol(writer, alpha, argb >>> 24);
+                } else {
+                    writeSymbol(writer, green, 256 + token.length.prefix);
+                    writer.writeBits(token.length.extra, token.length.extraBits);
+                    writeSymbol(writer, distance, token.distance.prefix);
+                    writer.writeBits(token.distance.extra, token.distance.extraBits);
+                }
+            }
+
+            return writer.finish();
+        }
+    }
+
+    // 导出类
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = WebpEncoder;
+    } else {
+        window.WebpEncoder = WebpEncoder;
+    }
+})();
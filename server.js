@@ -1,6 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const FileMonitor = require('./electron/file-monitor');
 
 // 设置控制台编码为 UTF-8
 process.stdout.setEncoding('utf8');
@@ -26,9 +29,27 @@ if (process.platform === 'win32') {
 
 const app = express();
 const PORT = 3000;
+const HOST = '127.0.0.1'; // 只监听本机，文件监控接口可以读取本机文件，不能开放给局域网
+
+// 允许访问 /api 的 Host（同时防止 DNS 重绑定：其它域名解析到本机后 Host 仍是该域名）
+const ALLOWED_HOSTS = [`localhost:${PORT}`, `127.0.0.1:${PORT}`];
 
 // 中间件配置
-app.use(cors());
+// 只有静态资源允许跨域，/api 只供本服务器提供的页面使用
+const staticCors = cors();
+app.use((req, res, next) => (req.path.startsWith('/api/') ? next() : staticCors(req, res, next)));
+
+// /api 只接受同源请求：Host 必须是本机地址，带 Origin 的请求（跨域页面发出的）必须来自同一地址
+app.use('/api', (req, res, next) => {
+  const host = req.headers.host;
+  const origin = req.headers.origin;
+  if (!ALLOWED_HOSTS.includes(host) || (origin && origin !== `http://${host}`)) {
+    console.warn(`🚫 拒绝非同源的接口请求: ${req.method} ${req.originalUrl}（Host: ${host}, Origin: ${origin || '无'}）`);
+    return res.status(403).json({ success: false, error: '只允许本机页面访问该接口' });
+  }
+  next();
+});
+
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -37,16 +58,239 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// ━━━━━━━━━━ 浏览器模式的文件监控 ━━━━━━━━━━
+// 页面通过 POST /api/start-file-watch 开始监控本机文件，变化通过 SSE（/api/file-events）推送，
+// 页面再从 /api/file 读取文件内容并用 AseReader 重新解析
+
+// 允许监控的文件扩展名（只开放 Aseprite 文件，避免通过接口读取服务器上的其它文件）
+const SPRITE_EXTENSIONS = ['.aseprite', '.ase'];
+
+const fileMonitors = new Map(); // 文件绝对路径 -> { fileMonitor, clients: 正在监控该文件的客户端 ID, ready: 开始监控的 Promise }
+const eventClients = new Map(); // 客户端 ID -> { res: SSE 响应, files: 该客户端监控的文件 }
+
+// 向监控该文件的页面推送事件（其它页面不会收到，也就看不到别人监控的路径）
+function sendToWatchers(entry, event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  entry.clients.forEach(clientId => {
+    const client = eventClients.get(clientId);
+    if (client) {
+      client.res.write(message);
+    }
+  });
+}
+
+// 检查请求中的文件路径，返回绝对路径
+function resolveSpritePath(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('文件路径为空');
+  }
+  const resolved = path.resolve(filePath);
+  if (!SPRITE_EXTENSIONS.includes(path.extname(resolved).toLowerCase())) {
+    throw new Error('只能监控 .aseprite 或 .ase 文件');
+  }
+  return resolved;
+}
+
+// 检查请求中的客户端 ID，返回已连接的客户端
+function getEventClient(clientId) {
+  const client = eventClients.get(clientId);
+  if (!client) {
+    throw new Error('事件连接未建立或已断开');
+  }
+  return client;
+}
+
+// 为文件创建监控器，事件只转发给监控该文件的页面
+function createFileMonitor(entry) {
+  const fileMonitor = new FileMonitor({
+    checkInterval: 1000,
+    enableHashCheck: true,
+    enableStatusReport: false
+  });
+
+  fileMonitor.on('fileChanged', (data) => {
+    console.log(`📝 服务器检测到文件变化: ${data.filePath}`);
+    sendToWatchers(entry, 'file-changed', {
+      filePath: data.filePath,
+      timestamp: data.timestamp
+    });
+  });
+
+  fileMonitor.on('stateChanged', (data) => {
+    sendToWatchers(entry, 'file-watch-state', data);
+  });
+
+  fileMonitor.on('fileRenamed', (data) => {
+    fileMonitors.delete(data.oldPath);
+    fileMonitors.set(data.filePath, entry);
+    entry.clients.forEach(clientId => {
+      const client = eventClients.get(clientId);
+      if (client) {
+        client.files.delete(data.oldPath);
+        client.files.add(data.filePath);
+      }
+    });
+    sendToWatchers(entry, 'file-renamed', data);
+  });
+
+  fileMonitor.on('watchError', (data) => {
+    sendToWatchers(entry, 'file-watch-error', {
+      error: data.error,
+      filePath: data.filePath,
+      timestamp: data.timestamp
+    });
+  });
+
+  return fileMonitor;
+}
+
+// 客户端不再监控文件；没有客户端监控时销毁监控器
+async function releaseFileWatch(clientId, filePath) {
+  const client = eventClients.get(clientId);
+  if (client) {
+    client.files.delete(filePath);
+  }
+
+  const entry = fileMonitors.get(filePath);
+  if (!entry || !entry.clients.delete(clientId) || entry.clients.size > 0) {
+    return;
+  }
+  fileMonitors.delete(filePath);
+  await entry.fileMonitor.destroy();
+  console.log(`⏹️ 服务器停止监控: ${filePath}（剩余 ${fileMonitors.size} 个文件）`);
+}
+
+// 文件变化事件流（Server-Sent Events）
+// 每个连接分配一个客户端 ID，页面开始/停止监控和读取文件时带上该 ID，连接关闭时释放它监控的所有文件
+app.get('/api/file-events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const clientId = crypto.randomUUID();
+  eventClients.set(clientId, { res, files: new Set() });
+
+  // 通知页面已连接；页面断线重连后会拿到新的 ID，并据此重新开始监听自己的文件
+  res.write(`event: connected\ndata: ${JSON.stringify({ clientId, timestamp: new Date().toISOString() })}\n\n`);
+
+  // 定期发送注释行，防止代理关闭空闲连接
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const client = eventClients.get(clientId);
+    eventClients.delete(clientId);
+    client.files.forEach(filePath => {
+      releaseFileWatch(clientId, filePath).catch(error => console.error('❌ 释放文件监控失败:', error.message));
+    });
+  });
+});
+
+// 开始监控文件（多个页面监控同一文件时共用一个监控器）
+app.post('/api/start-file-watch', async (req, res) => {
+  try {
+    const { clientId } = req.body || {};
+    const client = getEventClient(clientId);
+    const filePath = resolveSpritePath(req.body.filePath);
+
+    let entry = fileMonitors.get(filePath);
+    if (!entry) {
+      entry = { clients: new Set() };
+      entry.fileMonitor = createFileMonitor(entry);
+      entry.ready = entry.fileMonitor.startWatching(filePath);
+      fileMonitors.set(filePath, entry);
+    }
+    // 等待监控器启动前先登记，启动期间其它页面停止监控时不会销毁该监控器
+    entry.clients.add(clientId);
+    client.files.add(filePath);
+
+    try {
+      await entry.ready;
+    } catch (error) {
+      if (fileMonitors.get(filePath) === entry) {
+        fileMonitors.delete(filePath);
+      }
+      entry.clients.forEach(id => {
+        const waitingClient = eventClients.get(id);
+        if (waitingClient) {
+          waitingClient.files.delete(filePath);
+        }
+      });
+      entry.clients.clear();
+      throw error;
+    }
+
+    console.log(`👁️ 服务器开始监控: ${filePath}（共 ${fileMonitors.size} 个文件，${entry.clients.size} 个页面）`);
+    res.json({
+      success: true,
+      filePath
+    });
+  } catch (error) {
+    console.error('❌ 启动服务器文件监控失败:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 停止本页面对文件的监控；其它页面仍在监控时监控器继续运行
+app.post('/api/stop-file-watch', async (req, res) => {
+  const { clientId, filePath } = req.body || {};
+  if (!clientId || !filePath || typeof filePath !== 'string') {
+    return res.status(400).json({ success: false, error: '缺少客户端 ID 或文件路径' });
+  }
+
+  await releaseFileWatch(clientId, path.resolve(filePath));
+  res.json({
+    success: true
+  });
+});
+
+// 读取正在监控的文件内容（只允许读取本页面已开始监控的文件）
+app.get('/api/file', (req, res) => {
+  let filePath;
+  try {
+    filePath = resolveSpritePath(req.query.path);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const entry = fileMonitors.get(filePath);
+  if (!entry || !entry.clients.has(req.query.clientId)) {
+    return res.status(403).json({ success: false, error: '文件未在监控中' });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('application/octet-stream');
+  const stream = fs.createReadStream(filePath);
+  stream.on('error', (error) => {
+    // 原子保存期间文件可能暂时不存在，页面收到下一次变化事件后会重新读取
+    if (!res.headersSent) {
+      res.status(404).json({ success: false, error: error.message });
+    } else {
+      res.destroy(error);
+    }
+  });
+  stream.pipe(res);
+});
+
 // 启动服务器
-app.listen(PORT, () => {
+app.listen(PORT, HOST, () => {
   console.log('🚀 Aseprite预览器服务器启动成功');
-  console.log(`📡 服务器地址: http://localhost:${PORT}`);
+  console.log(`📡 服务器地址: http://${HOST}:${PORT}`);
   console.log('📁 静态文件服务已启用');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 });
 
 // 优雅关闭
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n正在关闭服务器...');
+  for (const entry of fileMonitors.values()) {
+    await entry.fileMonitor.destroy();
+  }
   process.exit(0);
 });
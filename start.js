@@ -119,7 +119,7 @@ function showServerStatus() {
 // 检查服务器是否启动成功
 function checkServerReady() {
   return new Promise((resolve, reject) => {
-    const req = http.get('http://localhost:3000', (res) => {
+    const req = http.get('http://127.0.0.1:3000', (res) => {
       console.log('✅ Node 服务器已启动并响应');
       resolve(true);
     });